@@ -1,5 +1,8 @@
 // src/AdminPanel.jsx — Admin Panel with History & Audit Log
 import React, { useEffect, useState, useCallback } from 'react';
+import ParserProfilesAdmin from './ParserProfilesAdmin.jsx';
+import SerialRulesAdmin from './SerialRulesAdmin.jsx';
+import SpecCatalogAdmin from './SpecCatalogAdmin.jsx';
 
 const API_BASE = import.meta.env.VITE_API_BASE || '';
 const api = (p) => {
@@ -39,6 +42,7 @@ function ActionBadge({ action }) {
     edit: { bg: '#dbeafe', color: '#2563eb', label: 'Edited' },
     restore: { bg: '#f3e8ff', color: '#9333ea', label: 'Restored' },
     clear: { bg: '#fef3c7', color: '#d97706', label: 'Cleared All' },
+    transfer: { bg: '#e0f2fe', color: '#0369a1', label: 'Moved' },
   };
   
   const style = colors[action] || { bg: '#f1f5f9', color: '#64748b', label: action };
@@ -326,6 +330,7 @@ export default function AdminPanel({ onBack }) {
               <option value="create">Created</option>
               <option value="delete">Deleted</option>
               <option value="restore">Restored</option>
+              <option value="transfer">Moved</option>
             </select>
             
             <select
@@ -399,6 +404,15 @@ export default function AdminPanel({ onBack }) {
         )}
       </section>
       
+      {/* QR parser profiles */}
+      <ParserProfilesAdmin url={api('/qr-profiles')} />
+      
+      {/* Rail spec catalog */}
+      <SpecCatalogAdmin url={api('/rail-specs')} />
+      
+      {/* Serial validation rules */}
+      <SerialRulesAdmin url={api('/serial-rules')} />
+      
       {/* Info */}
       <section className="card" style={{ background: 'var(--surface)' }}>
         <h4 style={{ margin: '0 0 8px', display: 'flex', alignItems: 'center', gap: 8 }}>
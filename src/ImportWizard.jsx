@@ -0,0 +1,234 @@
+// src/ImportWizard.jsx — import paper/Excel scans: pick a file, map columns, review, submit
+import React, { useMemo, useRef, useState } from 'react';
+import { IMPORT_FIELDS, buildImportRecord, guessMapping, readImportFile } from './scanImport.js';
+
+const STATUS_LABELS = {
+  ok: { label: 'OK', color: '#16a34a' },
+  suspect: { label: 'Suspect', color: '#d97706' },
+  duplicate: { label: 'Already staged', color: '#d97706' },
+  unchecked: { label: 'Not checked', color: '#d97706' },
+  repeat: { label: 'Repeated in file', color: '#dc2626' },
+  blocked: { label: 'Rejected', color: '#dc2626' },
+  invalid: { label: 'Invalid', color: '#dc2626' },
+};
+
+// Rows that can never be submitted; duplicates and suspects are the operator's call.
+const LOCKED = new Set(['repeat', 'blocked', 'invalid']);
+const CHECK_BATCH = 5;
+
+/**
+ * `checkDuplicate(serial)` resolves true when the serial is already staged (locally or on
+ * the server) and rejects when the server can't be asked; `onSubmit(records)` hands the
+ * chosen records to the bulk save path.
+ */
+export default function ImportWizard({ mode, defaults, checkDuplicate, serialProblems, blocksOnProblems, onSubmit, onClose }) {
+  const [step, setStep] = useState('file');
+  const [file, setFile] = useState(null); // { name, headers, rows }
+  const [mapping, setMapping] = useState({});
+  const [preview, setPreview] = useState([]);
+  const [progress, setProgress] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const fileRef = useRef(null);
+
+  const pickFile = async (e) => {
+    const f = e.target.files?.[0];
+    e.target.value = '';
+    if (!f) return;
+    setError('');
+    try {
+      const { headers, rows } = await readImportFile(f);
+      setFile({ name: f.name, headers, rows });
+      setMapping(guessMapping(headers));
+      setStep('map');
+    } catch (err) {
+      setError(err?.message || String(err));
+    }
+  };
+
+  const validate = async () => {
+    if (!(mapping.serial >= 0)) {
+      setError('Map a column to Serial first.');
+      return;
+    }
+    setError('');
+    setBusy(true);
+    try {
+      const timestamp = new Date().toISOString();
+      const seen = new Set();
+      const out = file.rows.map((row, i) => {
+        const { rec, error: rowError } = buildImportRecord(row, mapping, { ...defaults, timestamp });
+        if (rowError) return { line: i + 2, rec: null, status: 'invalid', note: rowError, include: false };
+        if (seen.has(rec.serial)) return { line: i + 2, rec, status: 'repeat', note: 'Same serial earlier in the file', include: false };
+        seen.add(rec.serial);
+        const problem = serialProblems(rec.serial, rec.mill);
+        if (problem && blocksOnProblems) return { line: i + 2, rec, status: 'blocked', note: problem, include: false };
+        if (problem) {
+          rec.suspect = true;
+          rec.suspectReason = problem;
+        }
+        return { line: i + 2, rec, status: problem ? 'suspect' : 'ok', note: problem || '', include: true };
+      });
+
+      const toCheck = out.filter((r) => r.rec && !LOCKED.has(r.status));
+      for (let i = 0; i < toCheck.length; i += CHECK_BATCH) {
+        setProgress(`Checking for duplicates… ${Math.min(i + CHECK_BATCH, toCheck.length)}/${toCheck.length}`);
+        const batch = toCheck.slice(i, i + CHECK_BATCH);
+        const hits = await Promise.all(batch.map((r) => checkDuplicate(r.rec.serial).catch(() => null)));
+        batch.forEach((r, j) => {
+          if (hits[j] === null) {
+            r.status = 'unchecked';
+            r.note = [r.note, 'Duplicate check failed (offline?)'].filter(Boolean).join(' • ');
+            return;
+          }
+          if (!hits[j]) return;
+          r.status = 'duplicate';
+          r.note = [r.note, 'Serial is already staged'].filter(Boolean).join(' • ');
+          r.include = false;
+        });
+      }
+      setPreview(out);
+      setStep('preview');
+    } catch (err) {
+      setError(err?.message || String(err));
+    } finally {
+      setProgress('');
+      setBusy(false);
+    }
+  };
+
+  const toggleRow = (line) =>
+    setPreview((list) => list.map((r) => (r.line === line && !LOCKED.has(r.status) ? { ...r, include: !r.include } : r)));
+
+  const counts = useMemo(() => {
+    const c = { include: 0 };
+    for (const r of preview) {
+      c[r.status] = (c[r.status] || 0) + 1;
+      if (r.include) c.include += 1;
+    }
+    return c;
+  }, [preview]);
+
+  const submit = async () => {
+    const records = preview.filter((r) => r.include).map((r) => ({ ...r.rec, attributes: { importedFrom: file.name } }));
+    if (!records.length) return;
+    setBusy(true);
+    setError('');
+    try {
+      await onSubmit(records);
+      onClose();
+    } catch (err) {
+      setError(err?.message || String(err));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="card" style={{ marginTop: 12, background: 'var(--surface)' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8, flexWrap: 'wrap' }}>
+        <h3 style={{ margin: 0 }}>
+          Import Scans ({mode.toUpperCase()}){file ? ` — ${file.name}` : ''}
+        </h3>
+        <button className="btn btn-outline" onClick={onClose} disabled={busy}>Close</button>
+      </div>
+
+      {step === 'file' && (
+        <div style={{ marginTop: 12 }}>
+          <p style={{ margin: '0 0 12px', fontSize: 13, color: 'var(--muted)' }}>
+            Pick an XLSX or CSV file with a header row. The first sheet is read.
+          </p>
+          <input ref={fileRef} type="file" accept=".xlsx,.xls,.csv" onChange={pickFile} style={{ display: 'none' }} />
+          <button className="btn" onClick={() => fileRef.current?.click()}>Choose File</button>
+        </div>
+      )}
+
+      {step === 'map' && (
+        <div style={{ marginTop: 12 }}>
+          <p style={{ margin: '0 0 12px', fontSize: 13, color: 'var(--muted)' }}>
+            {file.rows.length} row{file.rows.length === 1 ? '' : 's'} found. Check the column for each field;
+            unmapped Operator, Received At and Loaded At use the current values, unmapped Scan Time uses now.
+          </p>
+          <div style={{ display: 'grid', gap: 12, gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))' }}>
+            {IMPORT_FIELDS.map(({ key, label, required }) => (
+              <div key={key}>
+                <label className="status">{label}{required ? ' *' : ''}</label>
+                <select
+                  className="input"
+                  value={mapping[key] ?? -1}
+                  onChange={(e) => setMapping((m) => ({ ...m, [key]: Number(e.target.value) }))}
+                >
+                  <option value={-1}>— not in file —</option>
+                  {file.headers.map((h, i) => (
+                    <option key={i} value={i}>{h}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+          <div style={{ display: 'flex', gap: 8, marginTop: 12 }}>
+            <button className="btn" onClick={validate} disabled={busy}>{busy ? 'Checking…' : 'Validate Rows'}</button>
+            <button className="btn btn-outline" onClick={() => setStep('file')} disabled={busy}>Choose Another File</button>
+          </div>
+        </div>
+      )}
+
+      {step === 'preview' && (
+        <div style={{ marginTop: 12 }}>
+          <div className="status" style={{ marginBottom: 8 }}>
+            {Object.entries(STATUS_LABELS)
+              .filter(([k]) => counts[k])
+              .map(([k, v]) => `${v.label}: ${counts[k]}`)
+              .join(' • ')}
+          </div>
+          <div style={{ maxHeight: 360, overflowY: 'auto' }}>
+            <table style={{ width: '100%', fontSize: 13 }}>
+              <thead>
+                <tr>
+                  <th />
+                  <th style={{ textAlign: 'left' }}>Row</th>
+                  <th style={{ textAlign: 'left' }}>Serial</th>
+                  <th style={{ textAlign: 'left' }}>Wagon</th>
+                  <th style={{ textAlign: 'left' }}>Spec</th>
+                  <th style={{ textAlign: 'left' }}>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map((r) => (
+                  <tr key={r.line}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={r.include}
+                        disabled={LOCKED.has(r.status)}
+                        onChange={() => toggleRow(r.line)}
+                        aria-label={`Import row ${r.line}`}
+                      />
+                    </td>
+                    <td>{r.line}</td>
+                    <td>{r.rec?.serial || '—'}</td>
+                    <td>{r.rec ? [r.rec.wagon1Id, r.rec.wagon2Id, r.rec.wagon3Id].filter(Boolean).join(' • ') || '—' : '—'}</td>
+                    <td>{r.rec ? [r.rec.railType, r.rec.grade, r.rec.spec, r.rec.lengthM].filter(Boolean).join(' • ') || '—' : '—'}</td>
+                    <td style={{ color: STATUS_LABELS[r.status].color }}>
+                      {STATUS_LABELS[r.status].label}
+                      {r.note && <div className="meta">{r.note}</div>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div style={{ display: 'flex', gap: 8, marginTop: 12 }}>
+            <button className="btn" onClick={submit} disabled={busy || !counts.include}>
+              {busy ? 'Importing…' : `Import ${counts.include} Scan${counts.include === 1 ? '' : 's'}`}
+            </button>
+            <button className="btn btn-outline" onClick={() => setStep('map')} disabled={busy}>Back to Mapping</button>
+          </div>
+        </div>
+      )}
+
+      {progress && <div className="status" style={{ marginTop: 8 }}>{progress}</div>}
+      {error && <div className="notice" style={{ marginTop: 8, color: '#dc2626' }}>{error}</div>}
+    </div>
+  );
+}
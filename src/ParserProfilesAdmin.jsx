@@ -0,0 +1,249 @@
+// src/ParserProfilesAdmin.jsx — define supplier QR parser profiles and test payloads
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  GENERIC_PROFILE,
+  PROFILE_FIELDS,
+  emptyProfile,
+  fetchProfiles,
+  loadProfiles,
+  parseQrPayload,
+  publishProfiles,
+  regexError,
+} from './qrProfiles.js';
+
+const cloneProfile = (p) => {
+  const base = emptyProfile();
+  const fields = {};
+  for (const { key } of PROFILE_FIELDS) fields[key] = { ...base.fields[key], ...(p?.fields?.[key] || {}) };
+  return { ...base, ...(p || {}), fields };
+};
+
+function validate(draft, profiles, editingIndex) {
+  const name = draft.name.trim();
+  if (!name) return 'Profile name is required.';
+  if (name.toLowerCase() === GENERIC_PROFILE.toLowerCase()) return `"${GENERIC_PROFILE}" is the built-in fallback name.`;
+  if (profiles.some((p, i) => i !== editingIndex && p.name.toLowerCase() === name.toLowerCase())) {
+    return 'A profile with this name already exists.';
+  }
+  const matchErr = regexError(draft.match);
+  if (matchErr) return `Match pattern: ${matchErr}`;
+  for (const { key, label } of PROFILE_FIELDS) {
+    const f = draft.fields[key];
+    const err = regexError(f.pattern);
+    if (err) return `${label} pattern: ${err}`;
+    if (f.pos !== '' && !(parseInt(f.pos, 10) > 0)) return `${label} position must be 1 or more.`;
+  }
+  if (!draft.fields.serial.pos && !draft.fields.serial.pattern) return 'Serial needs a position or a pattern.';
+  return '';
+}
+
+export default function ParserProfilesAdmin({ url }) {
+  const [profiles, setProfiles] = useState(() => loadProfiles());
+  const [editing, setEditing] = useState(null); // { index, draft } — index -1 for a new profile
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [sample, setSample] = useState('');
+
+  useEffect(() => {
+    let alive = true;
+    fetchProfiles(url).then((fresh) => {
+      if (alive && fresh) setProfiles(fresh);
+    });
+    return () => {
+      alive = false;
+    };
+  }, [url]);
+
+  const persist = async (list) => {
+    setProfiles(list.filter((p) => p?.name));
+    const onServer = await publishProfiles(url, list);
+    setMessage(onServer ? 'Profiles saved.' : 'Saved on this device only — the server could not be reached.');
+  };
+
+  const startEdit = (index) => {
+    setError('');
+    setEditing({ index, draft: cloneProfile(index >= 0 ? profiles[index] : null) });
+  };
+
+  const setDraft = (patch) => setEditing((e) => ({ ...e, draft: { ...e.draft, ...patch } }));
+  const setField = (key, patch) =>
+    setEditing((e) => ({
+      ...e,
+      draft: { ...e.draft, fields: { ...e.draft.fields, [key]: { ...e.draft.fields[key], ...patch } } },
+    }));
+
+  const saveDraft = () => {
+    const err = validate(editing.draft, profiles, editing.index);
+    if (err) {
+      setError(err);
+      return;
+    }
+    const draft = { ...editing.draft, name: editing.draft.name.trim() };
+    const next = [...profiles];
+    if (editing.index >= 0) next[editing.index] = draft;
+    else next.push(draft);
+    persist(next);
+    setEditing(null);
+  };
+
+  const removeProfile = (index) => {
+    if (!window.confirm(`Delete parser profile "${profiles[index].name}"?`)) return;
+    persist(profiles.filter((_, i) => i !== index));
+  };
+
+  // Earlier profiles win ties, so order matters.
+  const moveProfile = (index, delta) => {
+    const to = index + delta;
+    if (to < 0 || to >= profiles.length) return;
+    const next = [...profiles];
+    [next[index], next[to]] = [next[to], next[index]];
+    persist(next);
+  };
+
+  // Test against the saved profiles plus the draft being edited, if it is valid.
+  const testResult = useMemo(() => {
+    if (!sample.trim()) return null;
+    let list = profiles;
+    if (editing && !validate(editing.draft, profiles, editing.index)) {
+      list = [...profiles];
+      if (editing.index >= 0) list[editing.index] = editing.draft;
+      else list.push(editing.draft);
+    }
+    return parseQrPayload(sample, list);
+  }, [sample, profiles, editing]);
+
+  return (
+    <section className="card">
+      <h3 style={{ margin: '0 0 8px' }}>
+        QR Parser Profiles
+        <span style={{ marginLeft: 8, fontSize: 13, fontWeight: 400, color: 'var(--muted)' }}>
+          ({profiles.length} configured + {GENERIC_PROFILE})
+        </span>
+      </h3>
+      <p style={{ margin: '0 0 12px', fontSize: 13, color: 'var(--muted)' }}>
+        Each scan is parsed with the best matching profile (a profile with a matching pattern beats one
+        without; more filled fields wins next). If none match, the {GENERIC_PROFILE} rules are used.
+      </p>
+      {message && <div className="status" style={{ marginBottom: 8 }}>{message}</div>}
+
+      {profiles.length === 0 ? (
+        <div className="meta" style={{ marginBottom: 12 }}>No supplier profiles yet.</div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 6, marginBottom: 12 }}>
+          {profiles.map((p, i) => (
+            <div
+              key={p.name}
+              style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8, flexWrap: 'wrap', padding: '6px 0', borderBottom: '1px solid var(--border)' }}
+            >
+              <div>
+                <strong>{p.name}</strong>
+                <div className="meta">
+                  {p.match ? <>Matches <code>{p.match}</code></> : 'No match pattern'} • Delimiters:{' '}
+                  <code>{p.delimiters || 'default'}</code>
+                </div>
+              </div>
+              <div style={{ display: 'flex', gap: 6 }}>
+                <button className="btn btn-outline" onClick={() => moveProfile(i, -1)} disabled={i === 0} aria-label="Move up">↑</button>
+                <button className="btn btn-outline" onClick={() => moveProfile(i, 1)} disabled={i === profiles.length - 1} aria-label="Move down">↓</button>
+                <button className="btn btn-outline" onClick={() => startEdit(i)}>Edit</button>
+                <button className="btn btn-outline" onClick={() => removeProfile(i)} style={{ borderColor: '#ef4444', color: '#ef4444' }}>
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!editing && (
+        <button className="btn" onClick={() => startEdit(-1)}>+ New Profile</button>
+      )}
+
+      {editing && (
+        <div className="card" style={{ marginTop: 8, background: 'var(--surface)' }}>
+          <div style={{ display: 'grid', gap: 12, gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))' }}>
+            <div>
+              <label className="status">Name *</label>
+              <input className="input" value={editing.draft.name} onChange={(e) => setDraft({ name: e.target.value })} placeholder="e.g. Mill A" />
+            </div>
+            <div>
+              <label className="status">Match pattern (regex)</label>
+              <input className="input" value={editing.draft.match} onChange={(e) => setDraft({ match: e.target.value })} placeholder="e.g. ^MA\|" />
+            </div>
+            <div>
+              <label className="status">Delimiters</label>
+              <input className="input" value={editing.draft.delimiters} onChange={(e) => setDraft({ delimiters: e.target.value })} placeholder="blank = space | , : /" />
+            </div>
+          </div>
+
+          <table style={{ width: '100%', marginTop: 12, fontSize: 13 }}>
+            <thead>
+              <tr>
+                <th style={{ textAlign: 'left' }}>Field</th>
+                <th style={{ textAlign: 'left' }}>Position</th>
+                <th style={{ textAlign: 'left' }}>Pattern (regex, group 1 is the value)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {PROFILE_FIELDS.map(({ key, label }) => (
+                <tr key={key}>
+                  <td>{label}{key === 'serial' ? ' *' : ''}</td>
+                  <td style={{ width: 90 }}>
+                    <input
+                      className="input"
+                      type="number"
+                      min="1"
+                      value={editing.draft.fields[key].pos}
+                      onChange={(e) => setField(key, { pos: e.target.value })}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      className="input"
+                      value={editing.draft.fields[key].pattern}
+                      onChange={(e) => setField(key, { pattern: e.target.value })}
+                      placeholder={key === 'serial' ? 'e.g. ^[A-Z0-9]{12,}$' : ''}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {error && <div className="notice" style={{ marginTop: 8, color: '#dc2626' }}>{error}</div>}
+
+          <div style={{ display: 'flex', gap: 8, marginTop: 12 }}>
+            <button className="btn" onClick={saveDraft}>Save Profile</button>
+            <button className="btn btn-outline" onClick={() => setEditing(null)}>Cancel</button>
+          </div>
+        </div>
+      )}
+
+      <div style={{ marginTop: 16 }}>
+        <label className="status">Test a payload</label>
+        <textarea
+          className="input"
+          rows={2}
+          value={sample}
+          onChange={(e) => setSample(e.target.value)}
+          placeholder="Paste a scanned QR payload"
+        />
+        {testResult && (
+          <div className="notice" style={{ marginTop: 8, fontSize: 13 }}>
+            <div><strong>Profile:</strong> {testResult.profile}</div>
+            {PROFILE_FIELDS.map(({ key, label }) => (
+              <div key={key}>
+                <strong>{label}:</strong> {testResult[key] || <span style={{ color: 'var(--muted)' }}>—</span>}
+              </div>
+            ))}
+            {Object.entries(testResult.attributes || {}).map(([k, v]) => (
+              <div key={k} style={{ color: 'var(--muted)' }}>
+                {k}: {v}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,127 @@
+// src/ReconciliationPanel.jsx — compare staged scans against an imported packing list
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  exportReconciliation,
+  loadExpectedList,
+  parseExpectedFile,
+  reconcile,
+  saveExpectedList,
+} from './expectedList.js';
+import useAllStaged from './useAllStaged.js';
+
+const GROUPS = [
+  { key: 'matched', label: 'Expected & scanned', color: '#16a34a' },
+  { key: 'missing', label: 'Expected, missing', color: '#dc2626' },
+  { key: 'unexpected', label: 'Scanned, unexpected', color: '#d97706' },
+];
+
+// Compares against the full server listing for the mode; the live `scans` list is merged in,
+// so new-scan socket events show up here as they land.
+export default function ReconciliationPanel({ mode, scans, totalCount, loadAll }) {
+  const [list, setList] = useState(() => loadExpectedList(mode));
+  const staged = useAllStaged({ mode, scans, totalCount, loadAll, enabled: !!list });
+  const [show, setShow] = useState('missing');
+  const [message, setMessage] = useState('');
+  const fileRef = useRef(null);
+
+  useEffect(() => {
+    setList(loadExpectedList(mode));
+    setMessage('');
+  }, [mode]);
+
+  const result = useMemo(
+    () => (list ? reconcile(list.serials, staged.rows.map((s) => s.serial)) : null),
+    [list, staged.rows]
+  );
+
+  const importFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const serials = await parseExpectedFile(file);
+      const next = { name: file.name.replace(/\.[^.]+$/, ''), importedAt: new Date().toISOString(), serials };
+      setList(saveExpectedList(mode, next));
+      setMessage(`Imported ${serials.length} expected serial${serials.length === 1 ? '' : 's'} from ${file.name}.`);
+    } catch (err) {
+      setMessage(`Import failed: ${err?.message || err}`);
+    }
+  };
+
+  const clearList = () => {
+    if (!window.confirm(`Remove the expected list "${list.name}" for ${mode.toUpperCase()}?`)) return;
+    setList(saveExpectedList(mode, null));
+    setMessage('');
+  };
+
+  const exportResult = () => {
+    try {
+      const filename = exportReconciliation(result, { mode, name: list.name });
+      setMessage(`Exported ${filename}`);
+    } catch (err) {
+      setMessage(`Export failed: ${err?.message || err}`);
+    }
+  };
+
+  return (
+    <section className="card">
+      <h3 style={{ margin: '0 0 8px' }}>
+        Expected Delivery — {mode.toUpperCase()}
+        {list && (
+          <span style={{ marginLeft: 8, fontSize: 13, fontWeight: 400, color: 'var(--muted)' }}>
+            ({list.name}, {list.serials.length} serials, imported {new Date(list.importedAt).toLocaleString()})
+          </span>
+        )}
+      </h3>
+
+      <input ref={fileRef} type="file" accept=".xlsx,.xls,.csv" onChange={importFile} style={{ display: 'none' }} />
+      <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+        <button className="btn btn-outline" onClick={() => fileRef.current?.click()}>
+          {list ? 'Replace Expected List' : 'Import Expected List'}
+        </button>
+        {list && (
+          <>
+            <button className="btn btn-outline" onClick={exportResult}>Export Reconciliation</button>
+            <button className="btn btn-outline" onClick={clearList} style={{ borderColor: '#ef4444', color: '#ef4444' }}>
+              Remove List
+            </button>
+          </>
+        )}
+      </div>
+      {message && <div className="status" style={{ marginTop: 8 }}>{message}</div>}
+
+      {result && (
+        <>
+          <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginTop: 12 }}>
+            {GROUPS.map((g) => (
+              <button
+                key={g.key}
+                className={`btn ${show === g.key ? '' : 'btn-outline'}`}
+                onClick={() => setShow(g.key)}
+                aria-pressed={show === g.key}
+                style={show === g.key ? { background: g.color, borderColor: g.color } : { color: g.color, borderColor: g.color }}
+              >
+                {g.label}: {result[g.key].length}
+              </button>
+            ))}
+          </div>
+          <div className="meta" style={{ marginTop: 8, display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+            {staged.loading
+              ? 'Loading all staged scans…'
+              : staged.complete
+                ? `Compared against all ${staged.rows.length} staged scans.`
+                : `Server unreachable — compared against the ${scans.length} loaded scans only.`}
+            <button className="btn btn-outline" onClick={staged.refresh} disabled={staged.loading}>Refresh</button>
+          </div>
+          <div style={{ marginTop: 8, maxHeight: 220, overflowY: 'auto', fontFamily: 'monospace', fontSize: 13 }}>
+            {result[show].length ? (
+              result[show].map((serial) => <div key={serial}>{serial}</div>)
+            ) : (
+              <div className="meta">None.</div>
+            )}
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,157 @@
+// src/SerialRulesAdmin.jsx — maintain the per-mode serial validation rules and mill prefixes
+import React, { useEffect, useState } from 'react';
+import {
+  CHECK_DIGITS,
+  SERIAL_CHARSETS,
+  fetchSerialRules,
+  loadSerialRules,
+  publishSerialRules,
+} from './serialRules.js';
+
+const MODES = ['main', 'alt'];
+
+export default function SerialRulesAdmin({ url }) {
+  const [all, setAll] = useState(() => ({ main: loadSerialRules('main'), alt: loadSerialRules('alt') }));
+  const [mode, setMode] = useState('main');
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    let alive = true;
+    fetchSerialRules(url).then((fresh) => {
+      if (alive && fresh) setAll(fresh);
+    });
+    return () => {
+      alive = false;
+    };
+  }, [url]);
+
+  const rules = all[mode];
+  const set = (patch) => {
+    setAll((a) => ({ ...a, [mode]: { ...a[mode], ...patch } }));
+    setDirty(true);
+    setMessage('');
+  };
+  const setMill = (idx, patch) => set({ millPrefixes: rules.millPrefixes.map((e, i) => (i === idx ? { ...e, ...patch } : e)) });
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const onServer = await publishSerialRules(url, all);
+      setDirty(false);
+      setMessage(onServer ? 'Serial rules saved.' : 'Saved on this device only — the server could not be reached.');
+    } catch (e) {
+      setMessage(`Save failed: ${e?.message || e}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <section className="card">
+      <h3 style={{ margin: '0 0 8px' }}>Serial Rules</h3>
+      <p style={{ margin: '0 0 12px', fontSize: 13, color: 'var(--muted)' }}>
+        Checks applied to every scanned, imported or edited serial. When a label names its mill, the
+        serial must start with that mill's prefixes; a blank mill lists prefixes any mill may use.
+      </p>
+
+      <div style={{ display: 'flex', gap: 8, marginBottom: 12 }}>
+        {MODES.map((m) => (
+          <button key={m} className={`btn ${mode === m ? '' : 'btn-outline'}`} onClick={() => setMode(m)} aria-pressed={mode === m}>
+            {m.toUpperCase()}
+          </button>
+        ))}
+      </div>
+
+      <label className="status" style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+        <input type="checkbox" checked={rules.enabled} onChange={(e) => set({ enabled: e.target.checked })} />
+        Validate serials ({mode.toUpperCase()})
+      </label>
+      {rules.enabled && (
+        <>
+          <div style={{ display: 'grid', gap: 8, gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', marginTop: 8 }}>
+            <div>
+              <label className="status">Min length</label>
+              <input className="input" type="number" min="0" value={rules.minLength} onChange={(e) => set({ minLength: e.target.value })} />
+            </div>
+            <div>
+              <label className="status">Max length</label>
+              <input className="input" type="number" min="0" value={rules.maxLength} onChange={(e) => set({ maxLength: e.target.value })} placeholder="no limit" />
+            </div>
+            <div>
+              <label className="status">Characters</label>
+              <select className="input" value={rules.charset} onChange={(e) => set({ charset: e.target.value })}>
+                {Object.entries(SERIAL_CHARSETS).map(([id, c]) => (
+                  <option key={id} value={id}>{c.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="status">Check digit</label>
+              <select className="input" value={rules.checkDigit} onChange={(e) => set({ checkDigit: e.target.value })}>
+                {Object.entries(CHECK_DIGITS).map(([id, c]) => (
+                  <option key={id} value={id}>{c.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="status">When a serial fails</label>
+              <select className="input" value={rules.action} onChange={(e) => set({ action: e.target.value })}>
+                <option value="flag">Save as suspect</option>
+                <option value="block">Block the save</option>
+              </select>
+            </div>
+          </div>
+
+          <table style={{ width: '100%', fontSize: 13, marginTop: 12 }}>
+            <thead>
+              <tr>
+                <th style={{ textAlign: 'left' }}>Mill</th>
+                <th style={{ textAlign: 'left' }}>Serial prefixes</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {rules.millPrefixes.map((e, i) => (
+                <tr key={i}>
+                  <td>
+                    <input className="input" value={e.mill} onChange={(ev) => setMill(i, { mill: ev.target.value })} placeholder="Any mill" />
+                  </td>
+                  <td>
+                    <input className="input" value={e.prefixes} onChange={(ev) => setMill(i, { prefixes: ev.target.value })} placeholder="e.g. AB, CD" />
+                  </td>
+                  <td style={{ textAlign: 'right' }}>
+                    <button
+                      className="btn btn-outline"
+                      onClick={() => set({ millPrefixes: rules.millPrefixes.filter((_, j) => j !== i) })}
+                      aria-label="Remove mill"
+                    >
+                      ×
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button
+            className="btn btn-outline"
+            style={{ marginTop: 8 }}
+            onClick={() => set({ millPrefixes: [...rules.millPrefixes, { mill: '', prefixes: '' }] })}
+          >
+            Add Mill
+          </button>
+          {!rules.millPrefixes.length && <div className="meta" style={{ marginTop: 4 }}>No prefixes — any prefix is accepted.</div>}
+        </>
+      )}
+
+      {message && <div className="status" style={{ marginTop: 8 }}>{message}</div>}
+
+      <div style={{ marginTop: 12 }}>
+        <button className="btn" onClick={save} disabled={!dirty || saving}>
+          {saving ? 'Saving…' : 'Save Serial Rules'}
+        </button>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,131 @@
+// src/SpecCatalogAdmin.jsx — maintain the rail spec catalog used by the dropdowns
+import React, { useEffect, useState } from 'react';
+import {
+  EMPTY_SPEC,
+  SPEC_FIELDS,
+  fetchCatalog,
+  loadCachedCatalog,
+  normalizeCatalog,
+  publishCatalog,
+} from './specCatalog.js';
+
+export default function SpecCatalogAdmin({ url }) {
+  const [entries, setEntries] = useState([]);
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const [draft, setDraft] = useState(EMPTY_SPEC);
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    let alive = true;
+    (async () => {
+      const cached = await loadCachedCatalog();
+      if (!alive) return;
+      setEntries(cached.entries);
+      setUpdatedAt(cached.updatedAt);
+      const fresh = await fetchCatalog(url);
+      if (alive && fresh) {
+        setEntries(fresh.entries);
+        setUpdatedAt(fresh.updatedAt);
+      }
+    })();
+    return () => {
+      alive = false;
+    };
+  }, [url]);
+
+  const addEntry = () => {
+    const next = normalizeCatalog([...entries, draft]);
+    if (next.length === entries.length) {
+      setMessage('Rail Type and Grade are required, and the combination must be new.');
+      return;
+    }
+    setEntries(next);
+    setDraft(EMPTY_SPEC);
+    setDirty(true);
+    setMessage('');
+  };
+
+  const removeEntry = (idx) => {
+    setEntries((list) => list.filter((_, i) => i !== idx));
+    setDirty(true);
+  };
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const onServer = await publishCatalog(url, entries);
+      setUpdatedAt(new Date().toISOString());
+      setDirty(false);
+      setMessage(onServer ? 'Catalog saved.' : 'Saved on this device only — the server could not be reached.');
+    } catch (e) {
+      setMessage(`Save failed: ${e?.message || e}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <section className="card">
+      <h3 style={{ margin: '0 0 8px' }}>
+        Rail Spec Catalog
+        <span style={{ marginLeft: 8, fontSize: 13, fontWeight: 400, color: 'var(--muted)' }}>
+          ({entries.length} combinations{updatedAt ? `, updated ${new Date(updatedAt).toLocaleString()}` : ''})
+        </span>
+      </h3>
+      <p style={{ margin: '0 0 12px', fontSize: 13, color: 'var(--muted)' }}>
+        Valid rail type / grade / spec / length combinations for the Damaged QR dropdowns and the
+        spec check on scanned labels.
+      </p>
+
+      <div style={{ maxHeight: 320, overflowY: 'auto' }}>
+        <table style={{ width: '100%', fontSize: 13 }}>
+          <thead>
+            <tr>
+              {SPEC_FIELDS.map(({ key, label }) => (
+                <th key={key} style={{ textAlign: 'left' }}>{label}</th>
+              ))}
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((e, i) => (
+              <tr key={SPEC_FIELDS.map(({ key }) => e[key]).join('|')}>
+                {SPEC_FIELDS.map(({ key }) => (
+                  <td key={key}>{e[key] || '—'}</td>
+                ))}
+                <td style={{ textAlign: 'right' }}>
+                  <button className="btn btn-outline" onClick={() => removeEntry(i)} aria-label="Remove combination">×</button>
+                </td>
+              </tr>
+            ))}
+            <tr>
+              {SPEC_FIELDS.map(({ key, label }) => (
+                <td key={key}>
+                  <input
+                    className="input"
+                    value={draft[key]}
+                    onChange={(ev) => setDraft((d) => ({ ...d, [key]: ev.target.value }))}
+                    placeholder={label}
+                  />
+                </td>
+              ))}
+              <td style={{ textAlign: 'right' }}>
+                <button className="btn btn-outline" onClick={addEntry}>Add</button>
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+
+      {message && <div className="status" style={{ marginTop: 8 }}>{message}</div>}
+
+      <div style={{ marginTop: 12 }}>
+        <button className="btn" onClick={save} disabled={!dirty || saving || !entries.length}>
+          {saving ? 'Saving…' : 'Save Catalog'}
+        </button>
+      </div>
+    </section>
+  );
+}
@@ -428,6 +428,33 @@ export default function StartPage({
       .map(([label, value]) => ({ label, value }))
       .sort((a, b) => b.value - a.value);
 
+    const byMill = {};
+    allScans.forEach((s) => {
+      const m = s.mill || 'Unknown';
+      byMill[m] = (byMill[m] || 0) + 1;
+    });
+    const millData = Object.entries(byMill)
+      .map(([label, value]) => ({ label, value }))
+      .sort((a, b) => b.value - a.value);
+
+    // Only scans that carry a heat number; a claim usually concerns one heat.
+    const byHeat = {};
+    allScans.forEach((s) => {
+      if (s.heatNumber) byHeat[s.heatNumber] = (byHeat[s.heatNumber] || 0) + 1;
+    });
+    const heatData = Object.entries(byHeat)
+      .map(([label, value]) => ({ label, value }))
+      .sort((a, b) => b.value - a.value);
+
+    const byRollMonth = {};
+    allScans.forEach((s) => {
+      const ym = /^\d{4}-\d{2}/.test(s.rollDate || '') ? s.rollDate.slice(0, 7) : 'Unknown';
+      byRollMonth[ym] = (byRollMonth[ym] || 0) + 1;
+    });
+    const rollMonthData = Object.entries(byRollMonth)
+      .map(([label, value]) => ({ label, value }))
+      .sort((a, b) => (a.label === 'Unknown' ? 1 : b.label === 'Unknown' ? -1 : b.label.localeCompare(a.label)));
+
     const dailyTrend = [];
     for (let i = 6; i >= 0; i--) {
       const d = new Date(today);
@@ -465,6 +492,9 @@ export default function StartPage({
       operatorData,
       railTypeData,
       gradeData,
+      millData,
+      heatData,
+      rollMonthData,
       dailyTrend,
       recentScans,
       destinationData,
@@ -641,6 +671,37 @@ export default function StartPage({
         </section>
       </div>
 
+      <div style={dashboardGrid}>
+        <section className="card" style={{ padding: 20 }}>
+          <h3 style={{ margin: '0 0 8px 0', fontSize: 15 }}>By Mill</h3>
+          {loading ? (
+            <div style={{ color: 'var(--muted)', fontSize: 14 }}>Loading...</div>
+          ) : (
+            <BarChart data={analytics.millData} title="Mills" color="#0ea5e9" />
+          )}
+        </section>
+
+        <section className="card" style={{ padding: 20 }}>
+          <h3 style={{ margin: '0 0 8px 0', fontSize: 15 }}>By Rolling Month</h3>
+          {loading ? (
+            <div style={{ color: 'var(--muted)', fontSize: 14 }}>Loading...</div>
+          ) : (
+            <BarChart data={analytics.rollMonthData} title="Rolling Month" color="#14b8a6" />
+          )}
+        </section>
+      </div>
+
+      <section className="card" style={{ padding: 20 }}>
+        <h3 style={{ margin: '0 0 8px 0', fontSize: 15 }}>Top Heat Numbers</h3>
+        {loading ? (
+          <div style={{ color: 'var(--muted)', fontSize: 14 }}>Loading...</div>
+        ) : analytics.heatData.length > 0 ? (
+          <BarChart data={analytics.heatData} title="Heat Numbers" color="#ef4444" />
+        ) : (
+          <div style={{ color: 'var(--muted)', fontSize: 13 }}>No heat numbers recorded yet.</div>
+        )}
+      </section>
+
       <section className="card" style={{ padding: 20 }}>
         <h3 style={{ margin: '0 0 8px 0', fontSize: 15 }}>Top Destinations</h3>
         {loading ? (
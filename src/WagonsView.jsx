@@ -0,0 +1,203 @@
+// src/WagonsView.jsx — staged scans grouped by wagon, with load limits and printable load sheets
+import React, { useMemo, useState } from 'react';
+import { stageLabel } from './stages.js';
+import useAllStaged from './useAllStaged.js';
+import {
+  groupByWagon,
+  loadWagonLimits,
+  saveWagonLimits,
+  scanWagons,
+  wagonWarnings,
+} from './wagons.js';
+
+const escapeHtml = (v) =>
+  String(v ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+// Opens the load sheet in its own window so only the sheet is printed.
+function printLoadSheet(wagon, mode, warnings) {
+  const win = window.open('', '_blank');
+  if (!win) {
+    alert('Allow pop-ups to print the load sheet.');
+    return;
+  }
+  const destinations = [...new Set(wagon.scans.map((s) => s.destination).filter(Boolean))].join(', ');
+  const rows = [...wagon.scans, ...wagon.shared]
+    .map((s, i) => {
+      const [first, ...others] = scanWagons(s);
+      const note = first === wagon.id ? others.join(', ') : `Counted on ${first}`;
+      return `<tr>${[
+        i < wagon.scans.length ? i + 1 : '',
+        s.serial,
+        s.railType,
+        s.grade,
+        s.spec,
+        s.lengthM,
+        s.heatNumber,
+        stageLabel(s.stage),
+        note,
+      ]
+        .map((v) => `<td>${escapeHtml(v)}</td>`)
+        .join('')}</tr>`;
+    })
+    .join('');
+
+  win.document.write(`<!doctype html>
+<html><head><title>Load Sheet ${escapeHtml(wagon.id)}</title>
+<style>
+  body { font: 13px system-ui, sans-serif; margin: 24px; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+  th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+  th { background: #eee; }
+  .warn { color: #b91c1c; font-weight: 600; }
+  .sign { margin-top: 40px; display: flex; gap: 48px; }
+  .sign div { flex: 1; border-top: 1px solid #000; padding-top: 4px; }
+</style></head><body>
+<h1>Load Sheet — Wagon ${escapeHtml(wagon.id)}</h1>
+<div>${escapeHtml(mode.toUpperCase())} • Printed ${escapeHtml(new Date().toLocaleString())}</div>
+<div>Rails: <strong>${wagon.count}</strong> • Total length: <strong>${wagon.lengthM.toFixed(1)} m</strong>${
+    destinations ? ` • Destination: ${escapeHtml(destinations)}` : ''
+  }</div>
+${warnings.length ? `<div class="warn">Over limit: ${escapeHtml(warnings.join('; '))}</div>` : ''}
+<table>
+  <thead><tr><th>#</th><th>Serial</th><th>Rail Type</th><th>Grade</th><th>Spec</th><th>Length</th><th>Heat No</th><th>Stage</th><th>Shared with</th></tr></thead>
+  <tbody>${rows}</tbody>
+</table>
+<div class="sign"><div>Loaded by</div><div>Checked by</div><div>Date</div></div>
+</body></html>`);
+  win.document.close();
+  win.focus();
+  win.print();
+}
+
+export default function WagonsView({ scans, mode, totalCount, loadAll, onBack }) {
+  const [limits, setLimits] = useState(() => loadWagonLimits());
+  const [filter, setFilter] = useState('');
+  const [open, setOpen] = useState(null);
+  const staged = useAllStaged({ mode, scans, totalCount, loadAll });
+
+  const { wagons, unassigned } = useMemo(() => groupByWagon(staged.rows), [staged.rows]);
+  const visible = wagons.filter((w) => w.id.includes(filter.trim().toUpperCase()));
+  const overCount = wagons.filter((w) => wagonWarnings(w, limits).length).length;
+
+  const updateLimits = (patch) => setLimits((l) => saveWagonLimits({ ...l, ...patch }));
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 20 }}>
+      <section className="card">
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 12 }}>
+          <div>
+            <h2 style={{ margin: 0 }}>Wagons ({mode.toUpperCase()})</h2>
+            <p style={{ margin: '8px 0 0', color: 'var(--muted)', fontSize: 14 }}>
+              {wagons.length} wagon{wagons.length === 1 ? '' : 's'} • {unassigned} scan{unassigned === 1 ? '' : 's'} without a wagon
+              {overCount > 0 && <span style={{ color: '#dc2626' }}> • {overCount} over limit</span>}
+            </p>
+            <p style={{ margin: '4px 0 0', color: 'var(--muted)', fontSize: 13 }}>
+              {staged.loading
+                ? 'Loading all staged scans…'
+                : staged.complete
+                  ? `Totals cover all ${staged.rows.length} staged scans. Rails on several wagons count on their first wagon.`
+                  : `Server unreachable — totals cover the ${scans.length} loaded scans only.`}
+            </p>
+          </div>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button className="btn btn-outline" onClick={staged.refresh} disabled={staged.loading}>Refresh</button>
+            <button className="btn btn-outline" onClick={onBack}>
+              ← Back to Scanning
+            </button>
+          </div>
+        </div>
+      </section>
+
+      <section className="card">
+        <div style={{ display: 'grid', gap: 12, gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))' }}>
+          <div>
+            <label className="status">Max rails per wagon</label>
+            <input
+              className="input"
+              type="number"
+              min="1"
+              value={limits.maxRails}
+              onChange={(e) => updateLimits({ maxRails: e.target.value })}
+              placeholder="No limit"
+            />
+          </div>
+          <div>
+            <label className="status">Max length per wagon (m)</label>
+            <input
+              className="input"
+              type="number"
+              min="1"
+              value={limits.maxLengthM}
+              onChange={(e) => updateLimits({ maxLengthM: e.target.value })}
+              placeholder="No limit"
+            />
+          </div>
+          <div>
+            <label className="status">Find wagon</label>
+            <input className="input" value={filter} onChange={(e) => setFilter(e.target.value)} placeholder="Wagon ID" />
+          </div>
+        </div>
+      </section>
+
+      {visible.length === 0 ? (
+        <section className="card">
+          <div className="meta">{wagons.length ? 'No wagon matches.' : 'No scans have a wagon ID yet.'}</div>
+        </section>
+      ) : (
+        visible.map((w) => {
+          const warnings = wagonWarnings(w, limits);
+          const expanded = open === w.id;
+          return (
+            <section key={w.id} className="card" style={warnings.length ? { borderColor: '#ef4444' } : undefined}>
+              <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 8 }}>
+                <div>
+                  <strong>{w.id}</strong>
+                  <div className="meta">
+                    {w.count} rail{w.count === 1 ? '' : 's'} • {w.lengthM.toFixed(1)} m
+                    {w.shared.length > 0 && ` • ${w.shared.length} shared, counted on another wagon`}
+                  </div>
+                  {warnings.length > 0 && (
+                    <div className="meta" style={{ color: '#dc2626' }}>⚠ Over limit: {warnings.join('; ')}</div>
+                  )}
+                </div>
+                <div style={{ display: 'flex', gap: 8 }}>
+                  <button className="btn btn-outline" onClick={() => setOpen(expanded ? null : w.id)} aria-expanded={expanded}>
+                    {expanded ? 'Hide Rails' : 'Show Rails'}
+                  </button>
+                  <button className="btn" onClick={() => printLoadSheet(w, mode, warnings)}>Print Load Sheet</button>
+                </div>
+              </div>
+
+              {expanded && (
+                <table style={{ width: '100%', marginTop: 12, fontSize: 13 }}>
+                  <thead>
+                    <tr>
+                      <th style={{ textAlign: 'left' }}>Serial</th>
+                      <th style={{ textAlign: 'left' }}>Spec</th>
+                      <th style={{ textAlign: 'left' }}>Length</th>
+                      <th style={{ textAlign: 'left' }}>Stage</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[...w.scans, ...w.shared].map((s, i) => (
+                      <tr key={s.id ?? s.serial} style={i >= w.scans.length ? { color: 'var(--muted)' } : undefined}>
+                        <td>
+                          {s.serial}
+                          {i >= w.scans.length && ` (counted on ${scanWagons(s)[0]})`}
+                        </td>
+                        <td>{[s.railType, s.grade, s.spec].filter(Boolean).join(' • ') || '—'}</td>
+                        <td>{s.lengthM || '—'}</td>
+                        <td>{stageLabel(s.stage)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </section>
+          );
+        })
+      )}
+    </div>
+  );
+}
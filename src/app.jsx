@@ -2,8 +2,34 @@
 import React, { useEffect, useState, useRef, useMemo, useCallback } from 'react';
 import { socket } from './socket';
 import Scanner from './scanner/Scanner.jsx';
+import OcrCapture from './scanner/OcrCapture.jsx';
+import { warmOcrAssets } from './scanner/ocr.js';
+import { SCAN_FORMATS, DEFAULT_FORMATS, formatLabel, normalizeFormats } from './scanner/formats.js';
 import StartPage from './StartPage.jsx';
-import AdminPanel from './AdminPanel.jsx';
+import AdminPanel, { addAuditEntry } from './AdminPanel.jsx';
+import WagonsView from './WagonsView.jsx';
+import ReconciliationPanel from './ReconciliationPanel.jsx';
+import ImportWizard from './ImportWizard.jsx';
+import useKeyboardWedge from './useKeyboardWedge.js';
+import { fetchProfiles, parseQrPayload } from './qrProfiles.js';
+import { fetchSerialRules, loadSerialRules, validateSerial } from './serialRules.js';
+import {
+  EMPTY_SPEC,
+  SEED_SPEC_CATALOG,
+  SPEC_FIELDS,
+  catalogMismatches,
+  fetchCatalog,
+  loadCachedCatalog,
+  narrowSpec,
+} from './specCatalog.js';
+import {
+  FEEDBACK_PATTERNS,
+  loadFeedbackPrefs,
+  saveFeedbackPrefs,
+  speakSerialTail,
+  vibratePattern,
+} from './feedback.js';
+import { STAGES, stageHistory, stageLabel, stageTimes, stageTransition, wagonLabel } from './stages.js';
 import './app.css';
 import * as XLSX from 'xlsx';
 
@@ -28,68 +54,72 @@ const endpoints = {
   staged: (m) => (modeIsAlt(m) ? '/staged-alt' : '/staged'),
   stagedCount: (m) => (modeIsAlt(m) ? '/staged-alt/count' : '/staged/count'),
   stagedDelete: (m, id) => (modeIsAlt(m) ? `/staged-alt/${id}` : `/staged/${id}`),
+  stagedUpdate: (m, id) => (modeIsAlt(m) ? `/staged-alt/${id}` : `/staged/${id}`),
   scan: (m) => (modeIsAlt(m) ? '/scan-alt' : '/scan'),
   exists: (m, serial) =>
     modeIsAlt(m) ? `/exists-alt/${encodeURIComponent(serial)}` : `/exists/${encodeURIComponent(serial)}`,
   clearAll: (m) => (modeIsAlt(m) ? '/staged-alt/clear' : '/staged/clear'),
   exportXlsm: (m) => (modeIsAlt(m) ? '/export-alt-to-excel' : '/export-to-excel'),
   exportXlsxImages: (m) => (modeIsAlt(m) ? '/export-alt-xlsx-images' : '/export-xlsx-images'),
+  railSpecs: () => '/rail-specs',
+  qrProfiles: () => '/qr-profiles',
+  serialRules: () => '/serial-rules',
 };
 
-const FIXED_DAMAGED = {
-  grade: 'SAR48',
-  railType: 'R260',
-  spec: 'ATA 2DX066-25',
-  lengthM: '36 m',
-};
-
-function parseQrPayload(raw) {
-  const clean = String(raw || '')
-    .replace(/[^\x20-\x7E]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-
-  const tokens = clean.split(/[ \t\r\n|,:/]+/).filter(Boolean);
-
-  const serial =
-    tokens.find((t) => /^[A-Z0-9]{12,}$/.test(t)) ||
-    tokens.find((t) => /^[A-Z0-9]{8,}$/.test(t)) ||
-    '';
-
-  let grade = (tokens.find((t) => /^SAR\d{2}$/i.test(t)) || '').toUpperCase();
-
-  let railType = '';
-  for (const t of tokens) {
-    const u = t.toUpperCase();
-    if (/^R\d{3}(?:L?HT)?$/.test(u)) {
-      railType = u;
-      break;
+// Pages through the whole staged listing for a mode (Wagons view, reconciliation).
+const FULL_LISTING_PAGE = 500;
+async function fetchAllStaged(m) {
+  const rows = [];
+  let cursor = null;
+  do {
+    const resp = await fetch(api(`${endpoints.staged(m)}?limit=${FULL_LISTING_PAGE}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`));
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const data = await resp.json();
+    for (const r of data.rows || []) {
+      rows.push({
+        ...r,
+        wagonId1: r.wagon1Id ?? r.wagonId1 ?? '',
+        wagonId2: r.wagon2Id ?? r.wagonId2 ?? '',
+        wagonId3: r.wagon3Id ?? r.wagonId3 ?? '',
+        destination: r.destination ?? r.dest ?? '',
+      });
     }
-  }
+    cursor = data.nextCursor ?? null;
+  } while (cursor);
+  return rows;
+}
 
-  let spec = '';
-  for (let i = 0; i < tokens.length; i++) {
-    const u = tokens[i].toUpperCase();
-    if (/^(ATX|ATA|AREMA|UIC|EN\d*|GB\d*)$/.test(u)) {
-      const next = tokens[i + 1] || '';
-      if (/^[A-Z0-9-]{3,}$/i.test(next)) spec = `${tokens[i]} ${next}`;
-      else spec = tokens[i];
-      break;
-    }
-  }
+// Per-mode barcode settings: which formats are rail tags and which are wagon labels.
+const FORMAT_PREFS_KEY = (m) => `rail-scan-formats-${modeIsAlt(m) ? 'alt' : 'main'}`;
 
-  const lengthM = tokens.find((t) => /^\d{1,3}(\.\d+)?m$/i.test(t)) || '';
+function loadFormatPrefs(m) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(FORMAT_PREFS_KEY(m)) || 'null');
+    return {
+      rail: normalizeFormats(stored?.rail),
+      wagon: Array.isArray(stored?.wagon) ? stored.wagon.filter((id) => SCAN_FORMATS.some((f) => f.id === id)) : [],
+    };
+  } catch {
+    return { rail: [...DEFAULT_FORMATS], wagon: [] };
+  }
+}
 
-  if (grade && railType && grade === railType) grade = '';
+// Label fields kept alongside the serial; the last three are for warranty traceability.
+const EMPTY_EXTRAS = { grade: '', railType: '', spec: '', lengthM: '', heatNumber: '', mill: '', rollDate: '' };
 
-  return { raw: clean, serial, grade, railType, spec, lengthM };
-}
+const extrasFromParsed = (parsed) => {
+  const out = {};
+  for (const key of Object.keys(EMPTY_EXTRAS)) out[key] = parsed?.[key] || '';
+  return out;
+};
 
 // IndexedDB queues
 const DB_NAME = 'rail-offline';
-const DB_VERSION = 2;
+const DB_VERSION = 3;
 const STORE_MAIN = 'queue_main';
 const STORE_ALT = 'queue_alt';
+// Changes to records that already exist on the server (stage moves, edits), both modes.
+const STORE_UPDATES = 'queue_updates';
 const storeForMode = (m) => (modeIsAlt(m) ? STORE_ALT : STORE_MAIN);
 
 function idbOpen() {
@@ -103,6 +133,9 @@ function idbOpen() {
       if (!db.objectStoreNames.contains(STORE_ALT)) {
         db.createObjectStore(STORE_ALT, { keyPath: 'id', autoIncrement: true });
       }
+      if (!db.objectStoreNames.contains(STORE_UPDATES)) {
+        db.createObjectStore(STORE_UPDATES, { keyPath: 'id', autoIncrement: true });
+      }
     };
     req.onsuccess = () => resolve(req.result);
     req.onerror = () => reject(req.error);
@@ -143,6 +176,62 @@ async function idbClear(ids, mode) {
   });
 }
 
+// Merges a change into a scan that is still waiting in the offline queue.
+// Resolves true when the serial was found there (so no separate update is needed).
+async function idbPatchQueued(serialKey, patch, mode) {
+  const db = await idbOpen();
+  const storeName = storeForMode(mode);
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, 'readwrite');
+    const store = tx.objectStore(storeName);
+    let found = false;
+    const req = store.openCursor();
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      const item = cursor.value;
+      if (String(item?.payload?.serial || '').trim().toUpperCase() === serialKey) {
+        found = true;
+        cursor.update({ ...item, payload: { ...item.payload, ...patch } });
+        return;
+      }
+      cursor.continue();
+    };
+    tx.oncomplete = () => resolve(found);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function idbAddUpdate(update) {
+  const db = await idbOpen();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_UPDATES, 'readwrite');
+    tx.objectStore(STORE_UPDATES).add({ ...update, queuedAt: new Date().toISOString() });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+async function idbAllUpdates() {
+  const db = await idbOpen();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_UPDATES, 'readonly');
+    const req = tx.objectStore(STORE_UPDATES).getAll();
+    req.onsuccess = () => resolve(req.result || []);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function idbDeleteUpdate(id) {
+  const db = await idbOpen();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_UPDATES, 'readwrite');
+    tx.objectStore(STORE_UPDATES).delete(id);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
 function OfflineIndicator({ isOnline, pendingCount, isSyncing, onManualSync }) {
   return (
     <div
@@ -232,6 +321,208 @@ function OfflineIndicator({ isOnline, pendingCount, isSyncing, onManualSync }) {
   );
 }
 
+function ScanFormatPicker({ mode, prefs, onChange }) {
+  const toggle = (group, id) => {
+    const current = prefs[group] || [];
+    const nextList = current.includes(id) ? current.filter((x) => x !== id) : [...current, id];
+    onChange({ ...prefs, [group]: group === 'rail' ? normalizeFormats(nextList) : nextList });
+  };
+
+  const row = (group, title) => (
+    <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+      <span className="status" style={{ minWidth: 110 }}>{title}</span>
+      {SCAN_FORMATS.map((f) => (
+        <label key={f.id} className="status" style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+          <input
+            type="checkbox"
+            checked={(prefs[group] || []).includes(f.id)}
+            onChange={() => toggle(group, f.id)}
+          />
+          {f.label}
+        </label>
+      ))}
+    </div>
+  );
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: 6, marginTop: 8 }}>
+      <div className="status">Barcode formats ({mode.toUpperCase()})</div>
+      {row('rail', 'Rail labels')}
+      {row('wagon', 'Wagon barcodes')}
+    </div>
+  );
+}
+
+// Heat / cast number, producing mill and rolling date; filled from the label when it has them.
+function TraceFields({ value, onChange }) {
+  return (
+    <>
+      <div>
+        <label className="status">Heat No</label>
+        <input className="input" value={value.heatNumber || ''} onChange={(e) => onChange({ heatNumber: e.target.value })} placeholder="Heat / cast number" />
+      </div>
+      <div>
+        <label className="status">Mill</label>
+        <input className="input" value={value.mill || ''} onChange={(e) => onChange({ mill: e.target.value })} placeholder="Producing mill" />
+      </div>
+      <div>
+        <label className="status">Roll Date</label>
+        <input className="input" value={value.rollDate || ''} onChange={(e) => onChange({ rollDate: e.target.value })} placeholder="YYYY-MM-DD" />
+      </div>
+    </>
+  );
+}
+
+const EDIT_FIELDS = [
+  { key: 'serial', label: 'Serial' },
+  { key: 'operator', label: 'Operator' },
+  { key: 'wagon1Id', label: 'Wagon ID 1' },
+  { key: 'wagon2Id', label: 'Wagon ID 2' },
+  { key: 'wagon3Id', label: 'Wagon ID 3' },
+  { key: 'receivedAt', label: 'Received At' },
+  { key: 'loadedAt', label: 'Loaded At' },
+  { key: 'destination', label: 'Destination' },
+  { key: 'grade', label: 'Grade' },
+  { key: 'railType', label: 'Rail Type' },
+  { key: 'spec', label: 'Spec' },
+  { key: 'lengthM', label: 'Length' },
+];
+
+// Rows loaded from the server use wagonIdN, saved payloads wagonNId; keep both in step.
+const withWagonMirrors = (changes) => {
+  const local = { ...changes };
+  for (const n of [1, 2, 3]) if (`wagon${n}Id` in changes) local[`wagonId${n}`] = changes[`wagon${n}Id`];
+  return local;
+};
+
+const BULK_FIELDS = EDIT_FIELDS.filter(({ key }) =>
+  ['wagon1Id', 'wagon2Id', 'wagon3Id', 'destination', 'receivedAt'].includes(key)
+);
+
+// Fields set on every selected row; blank fields are left as they are.
+function BulkUpdateForm({ count, onApply, onCancel }) {
+  const [draft, setDraft] = useState(() => Object.fromEntries(BULK_FIELDS.map(({ key }) => [key, ''])));
+  const patch = Object.fromEntries(Object.entries(draft).map(([k, v]) => [k, v.trim()]).filter(([, v]) => v));
+  return (
+    <div className="card" style={{ marginTop: 8, background: 'var(--surface)' }}>
+      <div style={{ display: 'grid', gap: 12, gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))' }}>
+        {BULK_FIELDS.map(({ key, label }) => (
+          <div key={key}>
+            <label className="status">{label}</label>
+            <input
+              className="input"
+              value={draft[key]}
+              onChange={(e) => setDraft((d) => ({ ...d, [key]: e.target.value }))}
+              placeholder="Unchanged"
+            />
+          </div>
+        ))}
+      </div>
+      <div style={{ display: 'flex', gap: 8, marginTop: 12 }}>
+        <button className="btn" onClick={() => onApply(patch)} disabled={!Object.keys(patch).length}>
+          Update {count} Scan{count === 1 ? '' : 's'}
+        </button>
+        <button className="btn btn-outline" onClick={onCancel}>Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+// Inline edit form for a staged row; hands back only the fields that changed.
+function ScanEditor({ record, onSave, onCancel }) {
+  const initial = useMemo(
+    () => ({
+      ...Object.fromEntries(EDIT_FIELDS.map(({ key }) => [key, record[key] ?? ''])),
+      wagon1Id: record.wagon1Id ?? record.wagonId1 ?? '',
+      wagon2Id: record.wagon2Id ?? record.wagonId2 ?? '',
+      wagon3Id: record.wagon3Id ?? record.wagonId3 ?? '',
+      heatNumber: record.heatNumber ?? '',
+      mill: record.mill ?? '',
+      rollDate: record.rollDate ?? '',
+    }),
+    [record]
+  );
+  const [draft, setDraft] = useState(initial);
+  const [saving, setSaving] = useState(false);
+  const set = (patch) => setDraft((d) => ({ ...d, ...patch }));
+
+  const save = async () => {
+    const patch = {};
+    for (const key of Object.keys(draft)) {
+      const v = String(draft[key] ?? '').trim();
+      if (v !== String(initial[key] ?? '').trim()) patch[key] = v;
+    }
+    if (!Object.keys(patch).length) {
+      onCancel();
+      return;
+    }
+    setSaving(true);
+    try {
+      await onSave(patch);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card" style={{ marginTop: 8, background: 'var(--surface)' }}>
+      <div style={{ display: 'grid', gap: 12, gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))' }}>
+        {EDIT_FIELDS.map(({ key, label }) => (
+          <div key={key}>
+            <label className="status">{label}</label>
+            <input className="input" value={draft[key]} onChange={(e) => set({ [key]: e.target.value })} />
+          </div>
+        ))}
+        <TraceFields value={draft} onChange={set} />
+      </div>
+      <div style={{ display: 'flex', gap: 8, marginTop: 12 }}>
+        <button className="btn" onClick={save} disabled={saving}>{saving ? 'Saving…' : 'Save Changes'}</button>
+        <button className="btn btn-outline" onClick={onCancel} disabled={saving}>Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+// Dependent dropdowns over the spec catalog; see narrowSpec for how levels narrow each other.
+// Catalog spelling for the fields that fit; values the catalog doesn't know are kept as read.
+const snapSpec = (catalog, value) => {
+  const { value: snapped } = narrowSpec(catalog, value);
+  const out = {};
+  for (const { key } of SPEC_FIELDS) out[key] = snapped[key] || String(value?.[key] || '').trim();
+  return out;
+};
+
+// Off-catalog values stay selected (marked as such) until the operator picks a catalog one.
+function SpecPicker({ catalog, value, onChange }) {
+  const { value: current, options } = narrowSpec(catalog, value);
+  const pick = (key, v) => {
+    const next = { ...current, [key]: v };
+    // Picking a level clears the ones after it so they can narrow again.
+    const idx = SPEC_FIELDS.findIndex((f) => f.key === key);
+    SPEC_FIELDS.slice(idx + 1).forEach((f) => { next[f.key] = ''; });
+    onChange(narrowSpec(catalog, next).value);
+  };
+  return (
+    <>
+      {SPEC_FIELDS.map(({ key, label }) => {
+        const offCatalog = current[key] ? '' : String(value?.[key] || '').trim();
+        return (
+          <div key={key}>
+            <label className="status">{label}</label>
+            <select className="input" value={current[key] || offCatalog} onChange={(e) => pick(key, e.target.value)}>
+              <option value="">Select…</option>
+              {offCatalog && <option value={offCatalog}>{offCatalog} (off-catalog)</option>}
+              {options[key].map((o) => (
+                <option key={o} value={o}>{o}</option>
+              ))}
+            </select>
+          </div>
+        );
+      })}
+    </>
+  );
+}
+
 const styleSheet = document.createElement('style');
 styleSheet.textContent = `
   @keyframes pulse {
@@ -252,6 +543,7 @@ export default function App() {
   const [mode, setMode] = useState('main');
   const [showStart, setShowStart] = useState(true);
   const [showAdmin, setShowAdmin] = useState(false);
+  const [showWagons, setShowWagons] = useState(false);
 
   const [status, setStatus] = useState('Ready');
 
@@ -286,8 +578,34 @@ export default function App() {
   const [loadedAt] = useState('WalvisBay');
   const [destination, setDestination] = useState('');
 
+  const [formatPrefs, setFormatPrefs] = useState(() => ({ main: loadFormatPrefs('main'), alt: loadFormatPrefs('alt') }));
+  const [showFormats, setShowFormats] = useState(false);
+  const modeFormatPrefs = modeIsAlt(mode) ? formatPrefs.alt : formatPrefs.main;
+  const scannerFormats = useMemo(
+    () => normalizeFormats([...modeFormatPrefs.rail, ...modeFormatPrefs.wagon]),
+    [modeFormatPrefs]
+  );
+
+  const updateFormatPrefs = (next) => {
+    const key = modeIsAlt(mode) ? 'alt' : 'main';
+    setFormatPrefs((prev) => ({ ...prev, [key]: next }));
+    try {
+      localStorage.setItem(FORMAT_PREFS_KEY(mode), JSON.stringify(next));
+    } catch {}
+  };
+
+  // Serial rules are edited in the Admin panel; reloaded with the spec catalog below.
+  const [serialRules, setSerialRules] = useState(() => ({ main: loadSerialRules('main'), alt: loadSerialRules('alt') }));
+  const [suspectOnly, setSuspectOnly] = useState(false);
+  const modeSerialRules = modeIsAlt(mode) ? serialRules.alt : serialRules.main;
+
+  // Joined problem list for a serial that fails the mode's rules, '' when it passes.
+  // `mill` is the mill named on the label, when known.
+  const serialProblems = (serialKey, mill) => validateSerial(serialKey, modeSerialRules, { mill }).join(', ');
+  const blocksOnProblems = modeSerialRules.action === 'block';
+
   const [pending, setPending] = useState(null);
-  const [qrExtras, setQrExtras] = useState({ grade: '', railType: '', spec: '', lengthM: '' });
+  const [qrExtras, setQrExtras] = useState(EMPTY_EXTRAS);
 
   const [dupPrompt, setDupPrompt] = useState(null);
   const [removePrompt, setRemovePrompt] = useState(null);
@@ -310,7 +628,7 @@ export default function App() {
     return audioCtxRef.current;
   }, []);
 
-  const playBeepDirect = useCallback((ctx, freq = 1500, durationMs = 80) => {
+  const playBeepDirect = useCallback((ctx, freq = 1500, durationMs = 80, delayMs = 0) => {
     try {
       if (!ctx) return;
       const osc = ctx.createOscillator();
@@ -319,27 +637,49 @@ export default function App() {
       osc.frequency.value = freq;
       gain.gain.value = 0.06;
       osc.connect(gain).connect(ctx.destination);
-      const now = ctx.currentTime;
+      const now = ctx.currentTime + delayMs / 1000;
       osc.start(now);
       osc.stop(now + durationMs / 1000);
     } catch {}
   }, []);
 
-  const playBeep = useCallback(
-    async (freq = 1500, durationMs = 80) => {
+  // Per-operator feedback: tone pattern, vibration and optional spoken serial tail per outcome.
+  const [feedbackPrefs, setFeedbackPrefs] = useState(() => loadFeedbackPrefs(operator));
+  const [showFeedback, setShowFeedback] = useState(false);
+
+  useEffect(() => {
+    setFeedbackPrefs(loadFeedbackPrefs(operator));
+  }, [operator]);
+
+  const updateFeedbackPrefs = (patch) => {
+    const next = { ...feedbackPrefs, ...patch };
+    setFeedbackPrefs(next);
+    saveFeedbackPrefs(operator, next);
+  };
+
+  const signalOutcome = useCallback(
+    async (outcome, serial) => {
+      const pattern = FEEDBACK_PATTERNS[outcome];
+      if (!pattern) return;
+      if (feedbackPrefs.vibrate) vibratePattern(pattern.vibrate);
+      if (feedbackPrefs.speak && serial && outcome !== 'captured') {
+        speakSerialTail(serial, outcome === 'duplicate' ? 'Duplicate' : outcome === 'error' ? 'Error' : '');
+      }
       try {
-        if (!soundOn) return;
+        if (!soundOn || !feedbackPrefs.tones) return;
         const ctx = await ensureAudioReady();
         if (!ctx || ctx.state !== 'running') return;
-        playBeepDirect(ctx, freq, durationMs);
+        let offset = 0;
+        for (const [freq, durationMs, gapMs = 0] of pattern.tones) {
+          playBeepDirect(ctx, freq, durationMs, offset);
+          offset += durationMs + gapMs;
+        }
       } catch {}
     },
-    [soundOn, ensureAudioReady, playBeepDirect]
+    [feedbackPrefs, soundOn, ensureAudioReady, playBeepDirect]
   );
 
-  const scanBeep = useCallback(() => {
-    playBeep(1500, 80);
-  }, [playBeep]);
+  const scanBeep = useCallback(() => signalOutcome('captured'), [signalOutcome]);
 
   const toggleSound = useCallback(() => {
     setSoundOn((prev) => {
@@ -351,12 +691,46 @@ export default function App() {
 
   const [showDamaged, setShowDamaged] = useState(false);
   const [manualSerial, setManualSerial] = useState('');
+  const [showOcr, setShowOcr] = useState(false);
+  const [damagedSpec, setDamagedSpec] = useState(EMPTY_SPEC);
+  const [damagedTrace, setDamagedTrace] = useState({ heatNumber: '', mill: '', rollDate: '' });
+  const [correctingSpec, setCorrectingSpec] = useState(false);
+
+  // Rail spec catalog, QR parser profiles and serial rules: cached copy first, then the server's
+  // when reachable. Reloaded on leaving the Admin panel, where they are edited.
+  const [specCatalog, setSpecCatalog] = useState({ entries: SEED_SPEC_CATALOG, updatedAt: null });
+  useEffect(() => {
+    if (showAdmin) return undefined;
+    let alive = true;
+    const refresh = async () => {
+      const fresh = await fetchCatalog(api(endpoints.railSpecs()));
+      if (alive && fresh) setSpecCatalog(fresh);
+      await fetchProfiles(api(endpoints.qrProfiles()));
+      const rules = await fetchSerialRules(api(endpoints.serialRules()));
+      if (alive && rules) setSerialRules(rules);
+    };
+    setSerialRules({ main: loadSerialRules('main'), alt: loadSerialRules('alt') });
+    loadCachedCatalog().then((cached) => {
+      if (alive) setSpecCatalog(cached);
+      if (navigator.onLine) refresh();
+    });
+    window.addEventListener('online', refresh);
+    return () => {
+      alive = false;
+      window.removeEventListener('online', refresh);
+    };
+  }, [showAdmin]);
 
   const normalizeSerial = (s) => String(s || '').trim().toUpperCase();
   const serialSetRefMain = useRef(new Set());
   const serialSetRefAlt = useRef(new Set());
   const knownMainRef = useRef(new Set());
   const knownAltRef = useRef(new Set());
+  // Latest rows per mode for the socket handlers, which are registered once.
+  const scansMainRef = useRef(scansMain);
+  scansMainRef.current = scansMain;
+  const scansAltRef = useRef(scansAlt);
+  scansAltRef.current = scansAlt;
   const [knownMainCount, setKnownMainCount] = useState(0);
   const [knownAltCount, setKnownAltCount] = useState(0);
   const knownCount = modeIsAlt(mode) ? knownAltCount : knownMainCount;
@@ -377,8 +751,10 @@ export default function App() {
     try {
       const mainItems = await idbAll('main');
       const altItems = await idbAll('alt');
-      setPendingMainCount(mainItems.length);
-      setPendingAltCount(altItems.length);
+      const updates = await idbAllUpdates();
+      const altUpdates = updates.filter((u) => modeIsAlt(u.mode)).length;
+      setPendingMainCount(mainItems.length + updates.length - altUpdates);
+      setPendingAltCount(altItems.length + altUpdates);
     } catch (e) {
       console.warn('Failed to get pending counts:', e);
     }
@@ -464,6 +840,39 @@ export default function App() {
       });
     };
 
+    // Edits and stage moves from any device; rows arrive as { id, ...changedFields }.
+    const mergeUpdate = (prev, row) =>
+      prev.map((x) =>
+        String(x.id) === String(row.id)
+          ? {
+              ...x,
+              ...row,
+              wagonId1: row.wagon1Id ?? row.wagonId1 ?? x.wagonId1,
+              wagonId2: row.wagon2Id ?? row.wagonId2 ?? x.wagonId2,
+              wagonId3: row.wagon3Id ?? row.wagonId3 ?? x.wagonId3,
+            }
+          : x
+      );
+    // A rename on another device swaps the serial in the known set, as a local edit does.
+    const swapKnown = (rows, knownRef, row) => {
+      if (!row.serial) return;
+      const old = rows.find((x) => String(x.id) === String(row.id));
+      if (old) knownRef.current.delete(normalizeSerial(old.serial));
+      knownRef.current.add(normalizeSerial(row.serial));
+      setKnownMainCount(knownMainRef.current.size);
+      setKnownAltCount(knownAltRef.current.size);
+    };
+    const onUpdated = (row) => {
+      if (row?.id == null) return;
+      swapKnown(scansMainRef.current, knownMainRef, row);
+      setScansMain((prev) => mergeUpdate(prev, row));
+    };
+    const onUpdatedAlt = (row) => {
+      if (row?.id == null) return;
+      swapKnown(scansAltRef.current, knownAltRef, row);
+      setScansAlt((prev) => mergeUpdate(prev, row));
+    };
+
     const onCleared = () => {
       setScansMain([]);
       setTotalMain(0);
@@ -486,6 +895,8 @@ export default function App() {
     socket.on('new-scan-alt', onNewAlt);
     socket.on('deleted-scan', onDeleted);
     socket.on('deleted-scan-alt', onDeletedAlt);
+    socket.on('updated-scan', onUpdated);
+    socket.on('updated-scan-alt', onUpdatedAlt);
     socket.on('cleared-scans', onCleared);
     socket.on('cleared-scans-alt', onClearedAlt);
 
@@ -499,6 +910,8 @@ export default function App() {
         socket.off('new-scan-alt', onNewAlt);
         socket.off('deleted-scan', onDeleted);
         socket.off('deleted-scan-alt', onDeletedAlt);
+        socket.off('updated-scan', onUpdated);
+        socket.off('updated-scan-alt', onUpdatedAlt);
         socket.off('cleared-scans', onCleared);
         socket.off('cleared-scans-alt', onClearedAlt);
       } catch {}
@@ -593,6 +1006,35 @@ export default function App() {
     }
   };
 
+  // Reloads the first page and the count after a bulk write replaced server-side rows.
+  const refreshStaged = useCallback(async (m) => {
+    const [countResp, pageResp] = await Promise.all([
+      fetch(api(endpoints.stagedCount(m))),
+      fetch(api(`${endpoints.staged(m)}?limit=${PAGE_SIZE}`)),
+    ]);
+    const countData = await countResp.json().catch(() => ({ count: 0 }));
+    const pageData = await pageResp.json().catch(() => ({ rows: [], nextCursor: null, total: 0 }));
+    const normalized = (pageData.rows || []).map((r) => ({
+      ...r,
+      wagonId1: r.wagon1Id ?? r.wagonId1 ?? '',
+      wagonId2: r.wagon2Id ?? r.wagonId2 ?? '',
+      wagonId3: r.wagon3Id ?? r.wagonId3 ?? '',
+      receivedAt: r.receivedAt ?? r.recievedAt ?? '',
+      loadedAt: r.loadedAt ?? '',
+      destination: r.destination ?? r.dest ?? '',
+    }));
+
+    if (modeIsAlt(m)) {
+      setScansAlt(normalized);
+      setCursorAlt(pageData.nextCursor ?? null);
+      setTotalAlt(countData.count ?? pageData.total ?? normalized.length);
+    } else {
+      setScansMain(normalized);
+      setCursorMain(pageData.nextCursor ?? null);
+      setTotalMain(countData.count ?? pageData.total ?? normalized.length);
+    }
+  }, []);
+
   const flushQueueForMode = useCallback(async (m) => {
     try {
       const items = await idbAll(m);
@@ -609,33 +1051,7 @@ export default function App() {
 
       if (resp.ok) {
         await idbClear(items.map((x) => x.id), m);
-
-        const [countResp, pageResp] = await Promise.all([
-          fetch(api(endpoints.stagedCount(m))),
-          fetch(api(`${endpoints.staged(m)}?limit=${PAGE_SIZE}`)),
-        ]);
-        const countData = await countResp.json().catch(() => ({ count: 0 }));
-        const pageData = await pageResp.json().catch(() => ({ rows: [], nextCursor: null, total: 0 }));
-        const normalized = (pageData.rows || []).map((r) => ({
-          ...r,
-          wagonId1: r.wagon1Id ?? r.wagonId1 ?? '',
-          wagonId2: r.wagon2Id ?? r.wagonId2 ?? '',
-          wagonId3: r.wagon3Id ?? r.wagonId3 ?? '',
-          receivedAt: r.receivedAt ?? r.recievedAt ?? '',
-          loadedAt: r.loadedAt ?? '',
-          destination: r.destination ?? r.dest ?? '',
-        }));
-
-        if (modeIsAlt(m)) {
-          setScansAlt(normalized);
-          setCursorAlt(pageData.nextCursor ?? null);
-          setTotalAlt(countData.count ?? pageData.total ?? normalized.length);
-        } else {
-          setScansMain(normalized);
-          setCursorMain(pageData.nextCursor ?? null);
-          setTotalMain(countData.count ?? pageData.total ?? normalized.length);
-        }
-
+        await refreshStaged(m);
         return { flushed: items.length };
       }
 
@@ -644,8 +1060,42 @@ export default function App() {
       console.warn(`Offline queue flush failed (${m}):`, e.message);
       return { flushed: 0, error: e.message };
     }
+  }, [refreshStaged]);
+
+  // Stage moves and edits made offline are replayed in the order they happened. A 4xx means
+  // the server will never take that update (row deleted, bad patch), so it is dropped and
+  // counted as rejected; network failures and 5xx stop the run and are retried next sync.
+  const flushUpdates = useCallback(async () => {
+    let flushed = 0;
+    let rejected = 0;
+    try {
+      const updates = await idbAllUpdates();
+      for (const u of updates) {
+        const resp = await fetch(api(endpoints.stagedUpdate(u.mode, u.recordId)), {
+          method: 'PATCH',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(u.patch),
+        });
+        if (resp.status >= 400 && resp.status < 500) {
+          console.warn(`Offline update for ${u.serial} rejected (HTTP ${resp.status})`);
+          await idbDeleteUpdate(u.id);
+          rejected += 1;
+          continue;
+        }
+        if (!resp.ok) return { flushed, rejected, error: `HTTP ${resp.status}` };
+        await idbDeleteUpdate(u.id);
+        flushed += 1;
+      }
+      return { flushed, rejected };
+    } catch (e) {
+      console.warn('Offline update flush failed:', e.message);
+      return { flushed, rejected, error: e.message };
+    }
   }, []);
 
+  const rejectedText = (n) => `${n} offline change${n > 1 ? 's' : ''} rejected by the server`;
+  const rejectedNote = (n) => (n ? ` • ${rejectedText(n)}` : '');
+
   const handleManualSync = useCallback(async () => {
     if (!isOnline || isSyncing) return;
 
@@ -655,15 +1105,18 @@ export default function App() {
     try {
       const mainResult = await flushQueueForMode('main');
       const altResult = await flushQueueForMode('alt');
+      const updateResult = await flushUpdates();
 
-      const totalFlushed = (mainResult.flushed || 0) + (altResult.flushed || 0);
+      const totalFlushed = (mainResult.flushed || 0) + (altResult.flushed || 0) + (updateResult.flushed || 0);
 
       await updatePendingCounts();
 
       if (totalFlushed > 0) {
-        setStatus(`✓ Synced ${totalFlushed} offline scan${totalFlushed > 1 ? 's' : ''}`);
-      } else if (mainResult.error || altResult.error) {
-        setStatus('Sync failed — will retry later');
+        setStatus(`✓ Synced ${totalFlushed} offline change${totalFlushed > 1 ? 's' : ''}${rejectedNote(updateResult.rejected)}`);
+      } else if (mainResult.error || altResult.error || updateResult.error) {
+        setStatus(`Sync failed — will retry later${rejectedNote(updateResult.rejected)}`);
+      } else if (updateResult.rejected) {
+        setStatus(rejectedText(updateResult.rejected));
       } else {
         setStatus('No pending scans to sync');
       }
@@ -673,13 +1126,15 @@ export default function App() {
     } finally {
       setIsSyncing(false);
     }
-  }, [isOnline, isSyncing, flushQueueForMode, updatePendingCounts]);
+  }, [isOnline, isSyncing, flushQueueForMode, flushUpdates, updatePendingCounts]);
 
   useEffect(() => {
     async function flushBoth() {
       if (!isOnline) return;
       await flushQueueForMode('main');
       await flushQueueForMode('alt');
+      const { rejected } = await flushUpdates();
+      if (rejected) setStatus(rejectedText(rejected));
       await updatePendingCounts();
     }
 
@@ -687,7 +1142,7 @@ export default function App() {
     flushBoth();
 
     return () => window.removeEventListener('online', flushBoth);
-  }, [isOnline, flushQueueForMode, updatePendingCounts]);
+  }, [isOnline, flushQueueForMode, flushUpdates, updatePendingCounts]);
 
   async function flushLocalQueueBeforeExport({ useAlt = false } = {}) {
     try {
@@ -728,6 +1183,18 @@ export default function App() {
 
   const lastHitRef = useRef({ serial: '', at: 0 });
   const localHasSerial = (serial) => scanSerialSet.has(normalizeSerial(serial));
+  const suspectCount = useMemo(() => scans.filter((r) => r?.suspect).length, [scans]);
+  const [listFilter, setListFilter] = useState('');
+  const visibleScans = useMemo(() => {
+    const q = listFilter.trim().toUpperCase();
+    return scans.filter((r) => {
+      if (suspectOnly && !r?.suspect) return false;
+      if (!q) return true;
+      return [r.serial, r.wagon1Id ?? r.wagonId1, r.wagon2Id ?? r.wagonId2, r.wagon3Id ?? r.wagonId3, r.destination]
+        .some((v) => String(v || '').toUpperCase().includes(q));
+    });
+  }, [scans, suspectOnly, listFilter]);
+
   const findDuplicates = (serial) => scans.filter((r) => normalizeSerial(r.serial) === normalizeSerial(serial));
 
   const [flashSerial, setFlashSerial] = useState(null);
@@ -741,13 +1208,165 @@ export default function App() {
     setTimeout(() => setFlashSerial(null), 2500);
   };
 
-  const onDetected = async (rawText) => {
+  // Batch mode: every non-duplicate detection is saved straight away with the
+  // current wagon / destination / operator fields, and tallied for the session.
+  const [batchMode, setBatchMode] = useState(false);
+  const [batchTally, setBatchTally] = useState({ saved: 0, offline: 0, duplicates: 0 });
+  const batchInFlightRef = useRef(new Set());
+  // Serials saved in this batch session (per mode); re-reads of them are skipped.
+  const batchCommittedRef = useRef(new Set());
+  const batchKey = (serialKey) => `${modeIsAlt(mode) ? 'alt' : 'main'}:${serialKey}`;
+
+  const noteBatchOutcome = (outcome) => {
+    if (!batchMode) return;
+    setBatchTally((t) => ({
+      saved: t.saved + (outcome === 'saved' ? 1 : 0),
+      offline: t.offline + (outcome === 'offline' ? 1 : 0),
+      duplicates: t.duplicates + (outcome === 'duplicate' ? 1 : 0),
+    }));
+  };
+
+  const saveBatchItem = async (item, extras) => {
+    const key = normalizeSerial(item.serial);
+    if (batchInFlightRef.current.has(key)) return;
+    batchInFlightRef.current.add(key);
+    try {
+      // Duplicate checks already ran in onDetected (or the user chose to continue).
+      const outcome = await commitPending(item, extras, { checked: true });
+      noteBatchOutcome(outcome);
+      if (outcome === 'saved' || outcome === 'offline') {
+        batchCommittedRef.current.add(batchKey(key));
+        setStatus(`Batch: saved ${key}${outcome === 'offline' ? ' (offline)' : ''} (${mode.toUpperCase()})`);
+      }
+    } finally {
+      batchInFlightRef.current.delete(key);
+    }
+  };
+
+  const toggleBatchMode = () => {
+    setBatchMode((v) => !v);
+    setPending(null);
+    setQrExtras(EMPTY_EXTRAS);
+    setBatchTally({ saved: 0, offline: 0, duplicates: 0 });
+    batchCommittedRef.current = new Set();
+  };
+
+  // Scan action: Receive creates records; Load / Dispatch / Deliver move an existing
+  // record to that stage instead of raising a duplicate.
+  const [stageMode, setStageMode] = useState(() => localStorage.getItem('rail-stage-mode') || 'received');
+  const changeStageMode = (next) => {
+    setStageMode(next);
+    localStorage.setItem('rail-stage-mode', next);
+    setPending(null);
+    setQrExtras(EMPTY_EXTRAS);
+  };
+
+  // Saves a patch to an existing record on the server, or keeps it for the next sync.
+  // The server broadcasts updated-scan(-alt) to the other devices. Resolves 'saved' or 'offline'.
+  // Throws with the server's message when it rejects the change; only network failures are queued.
+  const saveRecordUpdate = async (record, patch) => {
+    const serialKey = normalizeSerial(record.serial);
+    // A scan that never reached the server just gets the change merged into its queued copy.
+    if (await idbPatchQueued(serialKey, patch, mode)) {
+      await updatePendingCounts();
+      return 'offline';
+    }
+    let resp;
+    try {
+      resp = await fetch(api(endpoints.stagedUpdate(mode, record.id)), {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(patch),
+      });
+    } catch {
+      await idbAddUpdate({ mode, recordId: record.id, serial: serialKey, patch });
+      await updatePendingCounts();
+      return 'offline';
+    }
+    if (!resp.ok) {
+      const data = await resp.json().catch(() => null);
+      throw new Error(data?.error || `HTTP ${resp.status}`);
+    }
+    return 'saved';
+  };
+
+  // Resolves 'saved', 'offline', 'missing' or 'error'; the status line says why.
+  const advanceStage = async (serialKey) => {
+    const label = stageLabel(stageMode);
+    const record = localHasSerial(serialKey) ? findDuplicates(serialKey)[0] : (await lookupDuplicate(serialKey))?.[0];
+    if (!record?.id) {
+      setStatus(`${serialKey} not found in ${mode.toUpperCase()} — receive it first`);
+      signalOutcome('error', serialKey);
+      return 'missing';
+    }
+
+    const wagon = wagonLabel([wagonId1, wagonId2, wagonId3]);
+    const { patch, error } = stageTransition(record, stageMode, { operator, wagon });
+    if (error) {
+      setStatus(`${serialKey} not ${label.toLowerCase()}: ${error}`);
+      signalOutcome('error', serialKey);
+      return 'error';
+    }
+
+    let outcome;
+    try {
+      outcome = await saveRecordUpdate(record, patch);
+    } catch (e) {
+      setStatus(`${serialKey} not ${label.toLowerCase()}: server rejected the change (${e.message})`);
+      signalOutcome('error', serialKey);
+      return 'error';
+    }
+    setScans((prev) => prev.map((r) => (r.id === record.id ? { ...r, ...patch } : r)));
+    flashExistingRow(serialKey);
+    setStatus(`${serialKey} → ${label}${wagon ? ` (${wagon})` : ''}${outcome === 'offline' ? ' — offline, will sync' : ''}`);
+    signalOutcome(outcome, serialKey);
+    return outcome;
+  };
+
+  // Wagon labels fill the first free Wagon ID field instead of creating a scan.
+  const onWagonDetected = async (rawText, format) => {
+    const wagon = String(rawText || '').trim().toUpperCase();
+    if (!wagon) return;
+
+    const now = Date.now();
+    if (lastHitRef.current.serial === wagon && now - lastHitRef.current.at < 1200) return;
+    lastHitRef.current = { serial: wagon, at: now };
+
+    const current = [wagonId1, wagonId2, wagonId3].map((w) => String(w || '').trim().toUpperCase());
+    if (current.includes(wagon)) {
+      setStatus(`Wagon ${wagon} already set`);
+      return;
+    }
+
+    const setters = [setWagonId1, setWagonId2, setWagonId3];
+    const slot = current.findIndex((w) => !w);
+    if (slot === -1) {
+      setStatus(`Wagon ${wagon} read (${formatLabel(format)}) — all Wagon ID fields are filled`);
+      return;
+    }
+
+    setters[slot](wagon);
+    await scanBeep();
+    setStatus(`Wagon ID ${slot + 1} set to ${wagon} (${formatLabel(format)})`);
+  };
+
+  const onDetected = async (rawText, info = {}) => {
+    // Batch mode pauses on the duplicate prompt until the operator decides.
+    if (batchMode && dupPrompt) return;
+
+    const format = info.format || '';
+    if (format && modeFormatPrefs.wagon.includes(format) && !modeFormatPrefs.rail.includes(format)) {
+      await onWagonDetected(rawText, format);
+      return;
+    }
+
     const parsed = parseQrPayload(rawText);
     const serial = (parsed.serial || rawText || '').trim();
     const serialKey = normalizeSerial(serial);
 
     if (!serialKey) {
       setStatus('Scan had no detectable serial');
+      signalOutcome('no-serial');
       return;
     }
 
@@ -755,22 +1374,37 @@ export default function App() {
     if (lastHitRef.current.serial === serialKey && now - lastHitRef.current.at < 1200) return;
     lastHitRef.current = { serial: serialKey, at: now };
 
+    if (stageMode !== 'received') {
+      await advanceStage(serialKey);
+      return;
+    }
+
+    // A rail still under the camera after its batch save is not a new duplicate.
+    if (batchMode && (batchCommittedRef.current.has(batchKey(serialKey)) || batchInFlightRef.current.has(serialKey))) {
+      setStatus(`Batch: ${serialKey} already saved`);
+      return;
+    }
+
+    const suspect = serialProblems(serialKey, parsed.mill);
+    if (suspect && blocksOnProblems) {
+      setStatus(`Rejected ${serialKey}: ${suspect}`);
+      signalOutcome('error', serialKey);
+      return;
+    }
+
     if (isKnownDuplicate(serialKey)) {
       setDupPrompt({
         serial: serialKey,
         matches: findDuplicates(serialKey),
         candidate: {
-          pending: { serial: serialKey, raw: parsed.raw || String(rawText), capturedAt: new Date().toISOString() },
-          qrExtras: {
-            grade: parsed.grade || '',
-            railType: parsed.railType || '',
-            spec: parsed.spec || '',
-            lengthM: parsed.lengthM || '',
-          },
+          pending: { serial: serialKey, raw: parsed.raw || String(rawText), profile: parsed.profile, attributes: parsed.attributes, suspect, capturedAt: new Date().toISOString() },
+          qrExtras: extrasFromParsed(parsed),
         },
       });
       if (localHasSerial(serialKey)) flashExistingRow(serialKey);
       setStatus('Duplicate detected — awaiting decision');
+      signalOutcome('duplicate', serialKey);
+      noteBatchOutcome('duplicate');
       return;
     }
 
@@ -783,42 +1417,156 @@ export default function App() {
             serial: serialKey,
             matches: [info.row || { serial: serialKey }],
             candidate: {
-              pending: { serial: serialKey, raw: parsed.raw || String(rawText), capturedAt: new Date().toISOString() },
-              qrExtras: {
-                grade: parsed.grade || '',
-                railType: parsed.railType || '',
-                spec: parsed.spec || '',
-                lengthM: parsed.lengthM || '',
-              },
+              pending: { serial: serialKey, raw: parsed.raw || String(rawText), profile: parsed.profile, attributes: parsed.attributes, suspect, capturedAt: new Date().toISOString() },
+              qrExtras: extrasFromParsed(parsed),
             },
           });
           if (localHasSerial(serialKey)) flashExistingRow(serialKey);
           setStatus('Duplicate detected — awaiting decision');
+          signalOutcome('duplicate', serialKey);
+          noteBatchOutcome('duplicate');
           return;
         }
       }
     } catch {}
 
-    await scanBeep();
-    setPending({ serial: serialKey, raw: parsed.raw || String(rawText), capturedAt: new Date().toISOString() });
-    setQrExtras({
-      grade: parsed.grade || '',
-      railType: parsed.railType || '',
-      spec: parsed.spec || '',
-      lengthM: parsed.lengthM || '',
+    const item = { serial: serialKey, raw: parsed.raw || String(rawText), format, profile: parsed.profile, attributes: parsed.attributes, suspect, capturedAt: new Date().toISOString() };
+    const extras = extrasFromParsed(parsed);
+
+    // Batch saves signal their own saved / offline outcome.
+    if (batchMode) {
+      await saveBatchItem(item, extras);
+      return;
+    }
+
+    await scanBeep();
+    setPending(item);
+    setQrExtras(extras);
+    setStatus('Captured — review & Confirm');
+  };
+
+  // Multi-code mode: the Scanner collects several tags per frame and hands over the set.
+  const [multiMode, setMultiMode] = useState(false);
+  const [multiSummary, setMultiSummary] = useState(null);
+
+  // Returns the matching staged rows when the serial is already known locally or on the server.
+  const lookupDuplicate = async (serialKey) => {
+    if (isKnownDuplicate(serialKey)) return findDuplicates(serialKey);
+    try {
+      return await fetchExisting(serialKey);
+    } catch {
+      return null;
+    }
+  };
+
+  // Server side of the duplicate check; throws when the server can't be asked.
+  const fetchExisting = async (serialKey) => {
+    const resp = await fetch(api(endpoints.exists(mode, serialKey)));
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const info = await resp.json();
+    return info?.exists ? [info.row || { serial: serialKey }] : null;
+  };
+
+  const acceptMultiSet = async (codes) => {
+    const saved = [];
+    const duplicates = [];
+    const failed = [];
+    const seen = new Set();
+    const moving = stageMode !== 'received';
+
+    setStatus(`Saving ${codes.length} scanned code${codes.length === 1 ? '' : 's'}...`);
+    for (const { text, format } of codes) {
+      if (format && modeFormatPrefs.wagon.includes(format) && !modeFormatPrefs.rail.includes(format)) {
+        await onWagonDetected(text, format);
+        continue;
+      }
+
+      const parsed = parseQrPayload(text);
+      const serialKey = normalizeSerial(parsed.serial || text);
+      if (!serialKey || seen.has(serialKey)) continue;
+      seen.add(serialKey);
+
+      if (moving) {
+        const outcome = await advanceStage(serialKey);
+        if (outcome === 'saved' || outcome === 'offline') saved.push(serialKey);
+        else failed.push(serialKey);
+        continue;
+      }
+
+      const suspect = serialProblems(serialKey, parsed.mill);
+      if (suspect && blocksOnProblems) {
+        failed.push(serialKey);
+        continue;
+      }
+
+      if (await lookupDuplicate(serialKey)) {
+        duplicates.push(serialKey);
+        continue;
+      }
+
+      const outcome = await commitPending(
+        { serial: serialKey, raw: parsed.raw || String(text), format, profile: parsed.profile, attributes: parsed.attributes, suspect, capturedAt: new Date().toISOString() },
+        extrasFromParsed(parsed),
+        { checked: true }
+      );
+      if (outcome === 'saved' || outcome === 'offline') saved.push(serialKey);
+      else failed.push(serialKey);
+    }
+
+    setMultiSummary({ saved, duplicates, failed });
+    setStatus(
+      `${moving ? stageLabel(stageMode) : 'Accepted'} ${saved.length} (${mode.toUpperCase()})` +
+        (duplicates.length ? ` • ${duplicates.length} duplicate${duplicates.length === 1 ? '' : 's'} skipped` : '')
+    );
+  };
+
+  // Hardware (keyboard-wedge / Bluetooth HID) scanner: the camera is unmounted to save
+  // power and keystroke bursts go through the same onDetected path as camera reads.
+  const [hwScanner, setHwScanner] = useState(() => localStorage.getItem('rail-hw-scanner') === '1');
+  const [lastWedgeRead, setLastWedgeRead] = useState(null);
+
+  const toggleHwScanner = () => {
+    setHwScanner((prev) => {
+      const next = !prev;
+      localStorage.setItem('rail-hw-scanner', next ? '1' : '0');
+      return next;
+    });
+    setMultiMode(false);
+  };
+
+  useKeyboardWedge({
+    enabled: hwScanner && !showStart && !showAdmin && !showWagons,
+    onScan: (text) => {
+      setLastWedgeRead({ text, at: new Date().toISOString() });
+      onDetected(text, { source: 'keyboard' });
+    },
+  });
+
+  // Photo decode gave up: open the Damaged QR panel so the serial can be typed in.
+  const onPhotoFailed = () => {
+    setShowDamaged(true);
+    setStatus('Could not decode photo — enter the serial in Damaged QR');
+    requestAnimationFrame(() => {
+      const el = document.getElementById('damaged-panel');
+      if (el) el.scrollIntoView({ behavior: 'smooth', block: 'center' });
     });
-    setStatus('Captured — review & Confirm');
   };
 
   const handleDupDiscard = () => {
     setDupPrompt(null);
     setPending(null);
-    setQrExtras({ grade: '', railType: '', spec: '', lengthM: '' });
+    setQrExtras(EMPTY_EXTRAS);
     setStatus('Ready');
   };
 
   const handleDupContinue = () => {
     if (!dupPrompt) return;
+    if (batchMode) {
+      const { candidate } = dupPrompt;
+      setDupPrompt(null);
+      saveBatchItem(candidate.pending, candidate.qrExtras);
+      return;
+    }
     setPending(dupPrompt.candidate.pending);
     setQrExtras(dupPrompt.candidate.qrExtras);
     setDupPrompt(null);
@@ -848,6 +1596,251 @@ export default function App() {
 
   const discardRemovePrompt = () => setRemovePrompt(null);
 
+  const [editingId, setEditingId] = useState(null);
+
+  const saveScanEdit = async (record, patch) => {
+    const changes = { ...patch };
+    if ('serial' in changes) {
+      changes.serial = normalizeSerial(changes.serial);
+      if (!changes.serial) {
+        alert('Serial cannot be empty.');
+        return;
+      }
+      const clash = findDuplicates(changes.serial).some((r) => r.id !== record.id);
+      if (clash && !confirm(`${changes.serial} is already staged. Save anyway?`)) return;
+      const suspect = serialProblems(changes.serial, changes.mill ?? record.mill);
+      if (suspect && blocksOnProblems) {
+        alert(`Serial rejected: ${suspect}`);
+        return;
+      }
+      changes.suspect = !!suspect;
+      changes.suspectReason = suspect || '';
+    }
+
+    let outcome;
+    try {
+      outcome = await saveRecordUpdate(record, changes);
+    } catch (e) {
+      alert(`Update failed: ${e.message}`);
+      return;
+    }
+
+    const local = withWagonMirrors(changes);
+    setScans((prev) => prev.map((r) => (r.id === record.id ? { ...r, ...local } : r)));
+    if (changes.serial) {
+      // The old serial is no longer staged here, so rescanning it must not look like a duplicate.
+      getKnownRef().current.delete(normalizeSerial(record.serial));
+      pushKnownForMode(changes.serial);
+    }
+    setEditingId(null);
+
+    const label = changes.serial || normalizeSerial(record.serial);
+    setStatus(outcome === 'offline' ? `Updated ${label} locally (offline) — will sync` : `Updated ${label} (${mode.toUpperCase()})`);
+  };
+
+  // Multi-select on the Staged Scans list. Each bulk action asks once, then goes through the
+  // per-record endpoints so the server broadcasts the usual deleted / updated / new-scan events.
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [bulkBusy, setBulkBusy] = useState(false);
+  const [showBulkUpdate, setShowBulkUpdate] = useState(false);
+  const selectedScans = scans.filter((r) => selectedIds.has(String(r.id)));
+  const allVisibleSelected = visibleScans.length > 0 && visibleScans.every((r) => selectedIds.has(String(r.id)));
+
+  useEffect(() => {
+    setSelectedIds(new Set());
+    setShowBulkUpdate(false);
+  }, [mode]);
+
+  const toggleSelected = (id) =>
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(String(id))) next.delete(String(id));
+      else next.add(String(id));
+      return next;
+    });
+
+  const toggleSelectAllVisible = () =>
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      for (const r of visibleScans) {
+        if (allVisibleSelected) next.delete(String(r.id));
+        else next.add(String(r.id));
+      }
+      return next;
+    });
+
+  const finishBulk = (verb, done, failed) => {
+    setSelectedIds(new Set(failed.map((r) => String(r.id))));
+    setStatus(`${verb} ${done} scan${done === 1 ? '' : 's'}${failed.length ? ` • ${failed.length} failed (still selected)` : ''}`);
+  };
+
+  const bulkDelete = async () => {
+    const rows = selectedScans;
+    if (!rows.length || !confirm(`Remove ${rows.length} selected ${mode.toUpperCase()} scan${rows.length === 1 ? '' : 's'}?`)) return;
+    setBulkBusy(true);
+    const failed = [];
+    for (const r of rows) {
+      try {
+        const resp = await fetch(api(endpoints.stagedDelete(mode, r.id)), { method: 'DELETE' });
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        setScans((prev) => prev.filter((x) => x.id !== r.id));
+        setTotalCount((c) => Math.max(0, c - 1));
+        addAuditEntry({
+          action: 'delete',
+          serial: r.serial,
+          mode: modeIsAlt(mode) ? 'alt' : 'main',
+          operator,
+          details: 'Bulk remove',
+          scanData: r,
+        });
+      } catch {
+        failed.push(r);
+      }
+    }
+    setBulkBusy(false);
+    finishBulk('Removed', rows.length - failed.length, failed);
+  };
+
+  const bulkUpdate = async (patch) => {
+    const rows = selectedScans;
+    const summary = Object.entries(patch).map(([k, v]) => `${k} = ${v}`).join(', ');
+    if (!rows.length || !confirm(`Set ${summary} on ${rows.length} scan${rows.length === 1 ? '' : 's'}?`)) return;
+    setBulkBusy(true);
+    const local = withWagonMirrors(patch);
+    const failed = [];
+    let offline = 0;
+    for (const r of rows) {
+      try {
+        if ((await saveRecordUpdate(r, patch)) === 'offline') offline += 1;
+      } catch (e) {
+        console.warn(`Update ${r.serial} failed:`, e.message);
+        failed.push(r);
+        continue;
+      }
+      setScans((prev) => prev.map((x) => (x.id === r.id ? { ...x, ...local } : x)));
+      addAuditEntry({ action: 'edit', serial: r.serial, mode: modeIsAlt(mode) ? 'alt' : 'main', operator, details: `Bulk update: ${summary}` });
+    }
+    setBulkBusy(false);
+    if (!failed.length) setShowBulkUpdate(false);
+    finishBulk(offline ? `Updated (${offline} offline, will sync)` : 'Updated', rows.length - failed.length, failed);
+  };
+
+  // Creates the record in the other mode (same timestamp, operator and history), then removes
+  // it here and writes a transfer entry to the audit log. If the removal fails the new copy is
+  // deleted again, so a failed move leaves the rail in one inventory only. Resolves true on success.
+  const moveScan = async (record, target) => {
+    const { id, ...data } = record;
+    const serialKey = normalizeSerial(record.serial);
+    const check = await fetch(api(endpoints.exists(target, serialKey)));
+    if (!check.ok) throw new Error(`Could not check ${target.toUpperCase()} (HTTP ${check.status})`);
+    const found = await check.json().catch(() => null);
+    if (found?.exists) throw new Error(`${serialKey} is already in ${target.toUpperCase()}`);
+
+    const resp = await fetch(api(endpoints.scan(target)), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data),
+    });
+    const created = await resp.json().catch(() => null);
+    if (!resp.ok) throw new Error(created?.error || `HTTP ${resp.status}`);
+
+    let delError = '';
+    try {
+      const del = await fetch(api(endpoints.stagedDelete(mode, id)), { method: 'DELETE' });
+      if (!del.ok) delError = `HTTP ${del.status}`;
+    } catch (e) {
+      delError = e.message;
+    }
+    if (delError) {
+      let rolledBack = false;
+      if (created?.id != null) {
+        try {
+          rolledBack = (await fetch(api(endpoints.stagedDelete(target, created.id)), { method: 'DELETE' })).ok;
+        } catch {}
+      }
+      const details = rolledBack
+        ? `Move from ${mode.toUpperCase()} to ${target.toUpperCase()} failed (${delError}); the ${target.toUpperCase()} copy was undone`
+        : `Move from ${mode.toUpperCase()} to ${target.toUpperCase()} half done (${delError}): the ${target.toUpperCase()} copy could not be undone, ${serialKey} is in both`;
+      addAuditEntry({
+        action: 'transfer',
+        serial: record.serial,
+        mode: modeIsAlt(mode) ? 'alt' : 'main',
+        operator,
+        details,
+        scanData: record,
+      });
+      throw new Error(details);
+    }
+
+    const moved = { ...data, id: created?.id || Date.now() };
+    const [setTarget, setTargetTotal, targetKnown] = modeIsAlt(target)
+      ? [setScansAlt, setTotalAlt, knownAltRef]
+      : [setScansMain, setTotalMain, knownMainRef];
+    setScans((prev) => prev.filter((x) => x.id !== id));
+    setTotalCount((c) => Math.max(0, c - 1));
+    setTarget((prev) => (prev.some((x) => String(x.id) === String(moved.id)) ? prev : [moved, ...prev]));
+    setTargetTotal((c) => c + 1);
+    getKnownRef().current.delete(normalizeSerial(moved.serial));
+    targetKnown.current.add(normalizeSerial(moved.serial));
+    setKnownMainCount(knownMainRef.current.size);
+    setKnownAltCount(knownAltRef.current.size);
+    addAuditEntry({
+      action: 'transfer',
+      serial: moved.serial,
+      mode: modeIsAlt(target) ? 'alt' : 'main',
+      operator,
+      details: `Moved from ${mode.toUpperCase()} to ${target.toUpperCase()}`,
+      scanData: moved,
+    });
+    return true;
+  };
+
+  const otherMode = modeIsAlt(mode) ? 'main' : 'alt';
+
+  // Single-row move, from the row's action buttons or the duplicate prompt.
+  const moveToOtherMode = async (record) => {
+    if (!confirm(`Move ${record.serial} from ${mode.toUpperCase()} to ${otherMode.toUpperCase()}?`)) return false;
+    try {
+      await moveScan(record, otherMode);
+      setStatus(`Moved ${record.serial} to ${otherMode.toUpperCase()}`);
+      return true;
+    } catch (e) {
+      alert(`Move failed: ${e.message || e}`);
+      return false;
+    }
+  };
+
+  const handleDupMove = async () => {
+    const match = dupPrompt?.matches?.find((r) => r?.id != null);
+    if (!match) return;
+    if (!(await moveToOtherMode(match))) return;
+    setDupPrompt(null);
+    setPending(null);
+    setQrExtras(EMPTY_EXTRAS);
+  };
+
+  const bulkMove = async () => {
+    const rows = selectedScans;
+    if (!rows.length || !confirm(`Move ${rows.length} scan${rows.length === 1 ? '' : 's'} from ${mode.toUpperCase()} to ${otherMode.toUpperCase()}?`)) return;
+    setBulkBusy(true);
+    const failed = [];
+    for (const r of rows) {
+      try {
+        await moveScan(r, otherMode);
+      } catch (e) {
+        console.warn(`Move ${r.serial} failed:`, e.message);
+        failed.push(r);
+      }
+    }
+    setBulkBusy(false);
+    finishBulk(`Moved to ${otherMode.toUpperCase()}:`, rows.length - failed.length, failed);
+  };
+
+  const bulkExport = async () => {
+    const result = await exportLocalToExcel(selectedScans, `${modeIsAlt(mode) ? 'Alt' : 'Master'}_Selected`);
+    setStatus(result.success ? `Exported ${result.count} selected scans — ${result.filename}` : `Export failed: ${result.error}`);
+  };
+
   const pushKnownForMode = (serial) => {
     const set = getKnownRef().current;
     set.add(normalizeSerial(serial));
@@ -855,43 +1848,52 @@ export default function App() {
     setKnownAltCount(knownAltRef.current.size);
   };
 
-  const confirmPending = async () => {
-    if (!pending?.serial || !String(pending.serial).trim()) {
+  // Shared save path for Confirm & Save and batch mode. `checked` skips the
+  // duplicate lookups when the caller has already done them (or the user chose
+  // "Continue anyway"). Resolves to 'saved', 'offline', 'duplicate' or 'empty'.
+  const commitPending = async (item, extras, { checked = false } = {}) => {
+    if (!item?.serial || !String(item.serial).trim()) {
       alert('Nothing to save yet. Scan a code first. If QR is damaged, use the Damaged QR dropdown.');
-      return;
+      return 'empty';
     }
 
-    if (isKnownDuplicate(pending.serial)) {
+    if (!checked && isKnownDuplicate(item.serial)) {
       setDupPrompt({
-        serial: String(pending.serial).toUpperCase(),
-        matches: findDuplicates(pending.serial),
-        candidate: { pending, qrExtras },
+        serial: String(item.serial).toUpperCase(),
+        matches: findDuplicates(item.serial),
+        candidate: { pending: item, qrExtras: extras },
       });
-      if (localHasSerial(String(pending.serial))) flashExistingRow(String(pending.serial).toUpperCase());
+      if (localHasSerial(String(item.serial))) flashExistingRow(String(item.serial).toUpperCase());
       setStatus('Duplicate detected — awaiting decision');
-      return;
+      signalOutcome('duplicate', item.serial);
+      return 'duplicate';
     }
 
-    try {
-      const r = await fetch(api(endpoints.exists(mode, pending.serial)));
-      if (r.ok) {
-        const j = await r.json();
-        if (j?.exists) {
-          setDupPrompt({
-            serial: pending.serial,
-            matches: [j.row || { serial: pending.serial }],
-            candidate: { pending, qrExtras },
-          });
-          if (localHasSerial(String(pending.serial))) flashExistingRow(String(pending.serial).toUpperCase());
-          setStatus('Duplicate detected — awaiting decision');
-          return;
+    if (!checked) {
+      try {
+        const r = await fetch(api(endpoints.exists(mode, item.serial)));
+        if (r.ok) {
+          const j = await r.json();
+          if (j?.exists) {
+            setDupPrompt({
+              serial: item.serial,
+              matches: [j.row || { serial: item.serial }],
+              candidate: { pending: item, qrExtras: extras },
+            });
+            if (localHasSerial(String(item.serial))) flashExistingRow(String(item.serial).toUpperCase());
+            setStatus('Duplicate detected — awaiting decision');
+            signalOutcome('duplicate', item.serial);
+            return 'duplicate';
+          }
         }
-      }
-    } catch {}
+      } catch {}
+    }
 
+    const timestamp = new Date().toISOString();
     const rec = {
-      serial: String(pending.serial).trim(),
+      serial: String(item.serial).trim(),
       stage: 'received',
+      stageHistory: [{ stage: 'received', at: timestamp, operator, wagon: wagonLabel([wagonId1, wagonId2, wagonId3]) }],
       operator,
       wagon1Id: wagonId1,
       wagon2Id: wagonId2,
@@ -899,12 +1901,18 @@ export default function App() {
       receivedAt,
       loadedAt,
       destination,
-      timestamp: new Date().toISOString(),
-      grade: qrExtras.grade,
-      railType: qrExtras.railType,
-      spec: qrExtras.spec,
-      lengthM: qrExtras.lengthM,
-      qrRaw: pending.raw || String(pending.serial),
+      timestamp,
+      grade: extras.grade,
+      railType: extras.railType,
+      spec: extras.spec,
+      lengthM: extras.lengthM,
+      heatNumber: extras.heatNumber || '',
+      mill: extras.mill || '',
+      rollDate: extras.rollDate || '',
+      qrRaw: item.raw || String(item.serial),
+      parserProfile: item.profile || '',
+      ...(item.attributes && Object.keys(item.attributes).length ? { attributes: item.attributes } : {}),
+      ...(item.suspect ? { suspect: true, suspectReason: item.suspect } : {}),
     };
 
     try {
@@ -926,10 +1934,19 @@ export default function App() {
       pushKnownForMode(rec.serial);
 
       setPending(null);
-      setQrExtras({ grade: '', railType: '', spec: '', lengthM: '' });
+      setQrExtras(EMPTY_EXTRAS);
       setStatus(`Saved to staged (${mode.toUpperCase()})`);
+      signalOutcome('saved', rec.serial);
+      return 'saved';
     } catch (e) {
-      await idbAdd({ payload: rec }, mode);
+      try {
+        await idbAdd({ payload: rec }, mode);
+      } catch (err) {
+        console.error('Offline queue write failed:', err);
+        setStatus(`Save failed — ${rec.serial} was not stored`);
+        signalOutcome('error', rec.serial);
+        return 'error';
+      }
       await updatePendingCounts();
 
       setScans((prev) => [{ id: Date.now(), ...rec }, ...prev]);
@@ -938,34 +1955,58 @@ export default function App() {
       pushKnownForMode(rec.serial);
 
       setPending(null);
-      setQrExtras({ grade: '', railType: '', spec: '', lengthM: '' });
+      setQrExtras(EMPTY_EXTRAS);
       setStatus(`Saved locally (offline) — will sync (${mode.toUpperCase()})`);
+      signalOutcome('offline', rec.serial);
+      return 'offline';
     }
   };
 
+  const confirmPending = () => commitPending(pending, qrExtras);
+
+  // QR-parsed spec fields that match no catalog entry; the operator can correct them.
+  const specMismatches = useMemo(
+    () => (pending ? catalogMismatches(specCatalog.entries, qrExtras) : []),
+    [pending, qrExtras, specCatalog]
+  );
+  useEffect(() => setCorrectingSpec(false), [pending]);
+
   const saveDamaged = async () => {
     if (!manualSerial.trim()) {
       alert('Unable to save: enter Serial (or scan a QR).');
       return;
     }
     const serialKey = normalizeSerial(manualSerial);
+    // Catalog entries only need Rail Type and Grade; Spec and Length are asked for when the
+    // chosen entries define them.
+    const { value: railSpec, options: specOptions } = narrowSpec(specCatalog.entries, damagedSpec);
+    const missingSpec = SPEC_FIELDS.filter(
+      ({ key }) => !railSpec[key] && (key === 'railType' || key === 'grade' || specOptions[key].length)
+    );
+    if (missingSpec.length) {
+      alert(`Choose ${missingSpec.map(({ label }) => label).join(', ')} from the catalog.`);
+      return;
+    }
+
+    const suspect = serialProblems(serialKey, damagedTrace.mill);
+    if (suspect && blocksOnProblems) {
+      alert(`Serial ${serialKey} does not pass the ${mode.toUpperCase()} serial rules: ${suspect}.`);
+      signalOutcome('error', serialKey);
+      return;
+    }
 
     if (isKnownDuplicate(serialKey)) {
       setDupPrompt({
         serial: serialKey,
         matches: findDuplicates(serialKey),
         candidate: {
-          pending: { serial: serialKey, raw: serialKey, capturedAt: new Date().toISOString() },
-          qrExtras: {
-            grade: FIXED_DAMAGED.grade,
-            railType: FIXED_DAMAGED.railType,
-            spec: FIXED_DAMAGED.spec,
-            lengthM: FIXED_DAMAGED.lengthM,
-          },
+          pending: { serial: serialKey, raw: serialKey, suspect, capturedAt: new Date().toISOString() },
+          qrExtras: { ...railSpec, ...damagedTrace },
         },
       });
       if (localHasSerial(serialKey)) flashExistingRow(serialKey);
       setStatus('Duplicate detected — awaiting decision');
+      signalOutcome('duplicate', serialKey);
       return;
     }
 
@@ -977,9 +2018,11 @@ export default function App() {
       }
     } catch {}
 
+    const timestamp = new Date().toISOString();
     const rec = {
       serial: serialKey,
       stage: 'received',
+      stageHistory: [{ stage: 'received', at: timestamp, operator, wagon: wagonLabel([wagonId1, wagonId2, wagonId3]) }],
       operator,
       wagon1Id: wagonId1,
       wagon2Id: wagonId2,
@@ -987,12 +2030,16 @@ export default function App() {
       receivedAt,
       loadedAt,
       destination,
-      timestamp: new Date().toISOString(),
-      grade: FIXED_DAMAGED.grade,
-      railType: FIXED_DAMAGED.railType,
-      spec: FIXED_DAMAGED.spec,
-      lengthM: FIXED_DAMAGED.lengthM,
+      timestamp,
+      grade: railSpec.grade,
+      railType: railSpec.railType,
+      spec: railSpec.spec,
+      lengthM: railSpec.lengthM,
+      heatNumber: damagedTrace.heatNumber.trim(),
+      mill: damagedTrace.mill.trim(),
+      rollDate: damagedTrace.rollDate,
       qrRaw: serialKey,
+      ...(suspect ? { suspect: true, suspectReason: suspect } : {}),
     };
 
     try {
@@ -1014,8 +2061,10 @@ export default function App() {
       setKnownAltCount(knownAltRef.current.size);
 
       setManualSerial('');
+      setDamagedTrace((t) => ({ ...t, heatNumber: '' }));
       setShowDamaged(false);
       setStatus(`Damaged QR saved (${mode.toUpperCase()})`);
+      signalOutcome('saved', serialKey);
     } catch (e) {
       await idbAdd({ payload: rec }, mode);
       await updatePendingCounts();
@@ -1029,9 +2078,52 @@ export default function App() {
       setKnownAltCount(knownAltRef.current.size);
 
       setManualSerial('');
+      setDamagedTrace((t) => ({ ...t, heatNumber: '' }));
       setShowDamaged(false);
       setStatus(`Damaged QR saved locally (offline) — will sync (${mode.toUpperCase()})`);
+      signalOutcome('offline', serialKey);
+    }
+  };
+
+  // Imported rows are posted straight to the bulk endpoint. Only when the network is down do
+  // they join the offline queue; a server rejection is thrown so the wizard stays open with it.
+  const [showImport, setShowImport] = useState(false);
+
+  const importScans = async (records) => {
+    const count = `${records.length} scan${records.length === 1 ? '' : 's'}`;
+    let resp;
+    try {
+      resp = await fetch(api(modeIsAlt(mode) ? '/scans-alt/bulk' : '/scans/bulk'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ items: records }),
+      });
+    } catch {
+      resp = null;
+    }
+
+    if (resp && !resp.ok) {
+      const text = await resp.text().catch(() => '');
+      let message = text;
+      try {
+        message = JSON.parse(text)?.error || text;
+      } catch {}
+      throw new Error(`Server rejected the import: ${message || `HTTP ${resp.status}`}`);
+    }
+
+    records.forEach((rec) => pushKnownForMode(rec.serial));
+    if (resp) {
+      await refreshStaged(mode).catch(() => {});
+      setStatus(`Imported ${count} (${mode.toUpperCase()})`);
+      return;
     }
+
+    for (const rec of records) await idbAdd({ payload: rec }, mode);
+    await updatePendingCounts();
+    const now = Date.now();
+    setScans((prev) => [...records.map((rec, i) => ({ id: now + i, ...rec })), ...prev]);
+    setTotalCount((c) => c + records.length);
+    setStatus(`Imported ${count} locally (offline) — will sync (${mode.toUpperCase()})`);
   };
 
   const [exporting, setExporting] = useState(false);
@@ -1052,27 +2144,44 @@ export default function App() {
         'RailType',
         'Spec',
         'Length',
+        'HeatNumber',
+        'Mill',
+        'RollDate',
         'QRRaw',
+        'ParserProfile',
+        'Suspect',
+        'Attributes',
+        ...STAGES.map((st) => `${st.label}Time`),
         'Timestamp',
       ];
 
-      const dataRows = rows.map((s) => [
-        s.serial || '',
-        s.stage || '',
-        s.operator || '',
-        s.wagon1Id || s.wagonId1 || '',
-        s.wagon2Id || s.wagonId2 || '',
-        s.wagon3Id || s.wagonId3 || '',
-        s.receivedAt || '',
-        s.loadedAt || '',
-        s.destination || '',
-        s.grade || '',
-        s.railType || '',
-        s.spec || '',
-        s.lengthM || '',
-        s.qrRaw || '',
-        s.timestamp || '',
-      ]);
+      const dataRows = rows.map((s) => {
+        const times = stageTimes(s);
+        return [
+          s.serial || '',
+          stageLabel(s.stage),
+          s.operator || '',
+          s.wagon1Id || s.wagonId1 || '',
+          s.wagon2Id || s.wagonId2 || '',
+          s.wagon3Id || s.wagonId3 || '',
+          s.receivedAt || '',
+          s.loadedAt || '',
+          s.destination || '',
+          s.grade || '',
+          s.railType || '',
+          s.spec || '',
+          s.lengthM || '',
+          s.heatNumber || '',
+          s.mill || '',
+          s.rollDate || '',
+          s.qrRaw || '',
+          s.parserProfile || '',
+          s.suspect ? s.suspectReason || 'yes' : '',
+          Object.entries(s.attributes || {}).map(([k, v]) => `${k}=${v}`).join('; '),
+          ...STAGES.map((st) => times[st.id] || ''),
+          s.timestamp || '',
+        ];
+      });
 
       const aoa = [HEADERS, ...dataRows];
       const ws = XLSX.utils.aoa_to_sheet(aoa);
@@ -1362,6 +2471,16 @@ export default function App() {
     );
   }
 
+  if (showWagons) {
+    return (
+      <div style={{ minHeight: '100vh', background: '#fff' }}>
+        <div className="container" style={{ paddingTop: 24, paddingBottom: 24 }}>
+          <WagonsView scans={scans} mode={mode} totalCount={totalCount} loadAll={fetchAllStaged} onBack={() => setShowWagons(false)} />
+        </div>
+      </div>
+    );
+  }
+
   if (showStart) {
     return (
       <div style={{ minHeight: '100vh', background: '#fff' }}>
@@ -1434,6 +2553,10 @@ export default function App() {
               Back to Start
             </button>
 
+            <button className="btn btn-outline" onClick={() => setShowWagons(true)}>
+              Wagons
+            </button>
+
             <div
               className="btn-group"
               role="group"
@@ -1522,11 +2645,133 @@ export default function App() {
             </button>
           </div>
 
-          <Scanner onDetected={onDetected} />
+          {hwScanner ? (
+            <div className="notice" style={{ marginTop: 10 }}>
+              <div><strong>Hardware scanner mode</strong> — camera off.</div>
+              <div className="meta">Scan with the ring / Bluetooth scanner; reads are picked up anywhere on this page.</div>
+              {lastWedgeRead && (
+                <div className="meta">
+                  Last read: {lastWedgeRead.text} • {new Date(lastWedgeRead.at).toLocaleTimeString()}
+                </div>
+              )}
+            </div>
+          ) : (
+            <Scanner
+              onDetected={onDetected}
+              onPhotoFailed={onPhotoFailed}
+              onMultiDetected={acceptMultiSet}
+              labelFor={(text) => parseQrPayload(text).serial || text}
+              multi={multiMode}
+              formats={scannerFormats}
+            />
+          )}
+
+          <div style={{ marginTop: 8, display: 'flex', alignItems: 'center', gap: 8 }}>
+            <label className="status" htmlFor="stage-mode">Scan action</label>
+            <select
+              id="stage-mode"
+              className="input"
+              style={{ maxWidth: 200 }}
+              value={stageMode}
+              onChange={(e) => changeStageMode(e.target.value)}
+            >
+              {STAGES.map((st) => (
+                <option key={st.id} value={st.id}>
+                  {st.action}
+                  {st.id === 'received' ? ' (new scans)' : ` (move to ${st.label})`}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div style={{ marginTop: 8, display: 'flex', gap: 8, flexWrap: 'wrap' }}>
+            <button
+              className={`btn ${batchMode ? '' : 'btn-outline'}`}
+              onClick={toggleBatchMode}
+              aria-pressed={batchMode}
+              title="Save each non-duplicate scan automatically"
+            >
+              {batchMode ? 'Batch Mode: ON' : 'Batch Mode: OFF'}
+            </button>
+            <button
+              className={`btn ${hwScanner ? '' : 'btn-outline'}`}
+              onClick={toggleHwScanner}
+              aria-pressed={hwScanner}
+              title="Use a keyboard-wedge / Bluetooth ring scanner instead of the camera"
+            >
+              {hwScanner ? 'Hardware Scanner: ON' : 'Hardware Scanner: OFF'}
+            </button>
+            <button
+              className={`btn ${multiMode ? '' : 'btn-outline'}`}
+              disabled={hwScanner}
+              onClick={() => {
+                setMultiMode((v) => !v);
+                setMultiSummary(null);
+              }}
+              aria-pressed={multiMode}
+              title="Read every tag in view and accept them as a set"
+            >
+              {multiMode ? 'Multi-code: ON' : 'Multi-code: OFF'}
+            </button>
+            <button
+              className="btn btn-outline"
+              onClick={() => setShowFormats((v) => !v)}
+              aria-expanded={showFormats}
+            >
+              {showFormats ? 'Hide Formats' : 'Barcode Formats'}
+            </button>
+          </div>
+          {showFormats && <ScanFormatPicker mode={mode} prefs={modeFormatPrefs} onChange={updateFormatPrefs} />}
+
+          {multiSummary && (
+            <div className="notice" style={{ marginTop: 10 }}>
+              <div>
+                <strong>Last set:</strong> {multiSummary.saved.length} saved • {multiSummary.duplicates.length} duplicate
+                {multiSummary.duplicates.length === 1 ? '' : 's'} skipped
+              </div>
+              {multiSummary.duplicates.length > 0 && (
+                <div className="meta">Duplicates: {multiSummary.duplicates.join(', ')}</div>
+              )}
+              {multiSummary.failed.length > 0 && (
+                <div className="meta">Not saved: {multiSummary.failed.join(', ')}</div>
+              )}
+            </div>
+          )}
+
+          {batchMode && (
+            <div className="notice" style={{ marginTop: 10 }}>
+              <div>
+                <strong>Batch session:</strong> {batchTally.saved + batchTally.offline} saved
+                {batchTally.offline > 0 ? ` (${batchTally.offline} offline)` : ''} • {batchTally.duplicates} duplicate
+                {batchTally.duplicates === 1 ? '' : 's'}
+              </div>
+              <div className="meta">
+                Wagon: {[wagonId1, wagonId2, wagonId3].filter(Boolean).join(' • ') || '—'} • Destination:{' '}
+                {destination || '—'} • Operator: {operator}
+              </div>
+              <button
+                className="btn btn-outline"
+                style={{ marginTop: 8 }}
+                onClick={() => setBatchTally({ saved: 0, offline: 0, duplicates: 0 })}
+              >
+                Reset tally
+              </button>
+            </div>
+          )}
 
           {pending && (
             <div className="notice" style={{ marginTop: 10 }}>
               <div><strong>Pending Serial:</strong> {pending.serial}</div>
+              {pending.format && <div className="meta">Format: {formatLabel(pending.format)}</div>}
+              {pending.profile && <div className="meta">Parser profile: {pending.profile}</div>}
+              {pending.attributes && Object.keys(pending.attributes).length > 0 && (
+                <div className="meta">
+                  {Object.entries(pending.attributes).map(([k, v]) => `${k}: ${v}`).join(' • ')}
+                </div>
+              )}
+              {pending.suspect && (
+                <div className="meta" style={{ color: '#b45309' }}>⚠ Suspect serial: {pending.suspect}</div>
+              )}
               <div className="meta">Captured at: {new Date(pending.capturedAt).toLocaleString()}</div>
             </div>
           )}
@@ -1579,24 +2824,52 @@ export default function App() {
               />
             </div>
 
-            <div>
-              <label className="status">Grade</label>
-              <input className="input" value={qrExtras.grade} readOnly />
-            </div>
-            <div>
-              <label className="status">Rail Type</label>
-              <input className="input" value={qrExtras.railType} readOnly />
-            </div>
-            <div>
-              <label className="status">Spec</label>
-              <input className="input" value={qrExtras.spec} readOnly />
-            </div>
-            <div>
-              <label className="status">Length</label>
-              <input className="input" value={qrExtras.lengthM} readOnly />
-            </div>
+            {correctingSpec ? (
+              <SpecPicker catalog={specCatalog.entries} value={qrExtras} onChange={(v) => setQrExtras((x) => ({ ...x, ...v }))} />
+            ) : (
+              <>
+                <div>
+                  <label className="status">Grade</label>
+                  <input className="input" value={qrExtras.grade} readOnly />
+                </div>
+                <div>
+                  <label className="status">Rail Type</label>
+                  <input className="input" value={qrExtras.railType} readOnly />
+                </div>
+                <div>
+                  <label className="status">Spec</label>
+                  <input className="input" value={qrExtras.spec} readOnly />
+                </div>
+                <div>
+                  <label className="status">Length</label>
+                  <input className="input" value={qrExtras.lengthM} readOnly />
+                </div>
+              </>
+            )}
+            <TraceFields value={qrExtras} onChange={(patch) => setQrExtras((x) => ({ ...x, ...patch }))} />
           </div>
 
+          {pending && (
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap', marginTop: 8 }}>
+              {specMismatches.length > 0 && (
+                <span className="status" style={{ color: '#b45309' }}>
+                  ⚠ Not in the spec catalog: {specMismatches.join(', ')}
+                </span>
+              )}
+              <button
+                className="btn btn-outline"
+                onClick={() => {
+                  // Save what the picker shows: catalog spelling where it fits, the read value where it doesn't.
+                  if (!correctingSpec) setQrExtras((x) => ({ ...x, ...snapSpec(specCatalog.entries, x) }));
+                  setCorrectingSpec((v) => !v);
+                }}
+                aria-pressed={correctingSpec}
+              >
+                {correctingSpec ? 'Done Correcting' : 'Correct Spec'}
+              </button>
+            </div>
+          )}
+
           <div style={{ marginTop: 14, display: 'flex', gap: 8, flexWrap: 'wrap' }}>
             <button className="btn" onClick={confirmPending} disabled={!pending}>
               Confirm & Save
@@ -1605,7 +2878,7 @@ export default function App() {
               className="btn btn-outline"
               onClick={() => {
                 setPending(null);
-                setQrExtras({ grade: '', railType: '', spec: '', lengthM: '' });
+                setQrExtras(EMPTY_EXTRAS);
                 setStatus('Ready');
               }}
             >
@@ -1617,6 +2890,80 @@ export default function App() {
             <button className="btn" onClick={exportXlsxWithImages} disabled={exporting}>
               {exporting ? 'Exporting…' : 'Export XLSX (with QR images)'}
             </button>
+            <button className="btn btn-outline" onClick={() => setShowImport((v) => !v)} aria-expanded={showImport}>
+              Import from Excel/CSV
+            </button>
+          </div>
+
+          {showImport && (
+            <ImportWizard
+              key={mode}
+              mode={mode}
+              defaults={{ operator, receivedAt, loadedAt }}
+              checkDuplicate={async (serial) => isKnownDuplicate(serial) || !!(await fetchExisting(serial))}
+              serialProblems={serialProblems}
+              blocksOnProblems={blocksOnProblems}
+              onSubmit={importScans}
+              onClose={() => setShowImport(false)}
+            />
+          )}
+
+          <div style={{ marginTop: 16 }}>
+            <button
+              className="btn btn-outline"
+              onClick={() => setShowFeedback((v) => !v)}
+              aria-expanded={showFeedback}
+              aria-controls="feedback-panel"
+            >
+              {showFeedback ? 'Hide Feedback Settings' : 'Feedback Settings'}
+            </button>
+
+            {showFeedback && (
+              <div id="feedback-panel" className="card" style={{ marginTop: 12 }}>
+                <div className="status" style={{ marginBottom: 8 }}>
+                  Scan feedback for {operator || 'this operator'} (saved on this device).
+                </div>
+                <div style={{ display: 'flex', gap: 16, flexWrap: 'wrap' }}>
+                  <label className="status" style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                    <input
+                      type="checkbox"
+                      checked={feedbackPrefs.tones}
+                      onChange={(e) => updateFeedbackPrefs({ tones: e.target.checked })}
+                    />
+                    Tones
+                  </label>
+                  <label className="status" style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                    <input
+                      type="checkbox"
+                      checked={feedbackPrefs.vibrate}
+                      onChange={(e) => updateFeedbackPrefs({ vibrate: e.target.checked })}
+                    />
+                    Vibration
+                  </label>
+                  <label className="status" style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                    <input
+                      type="checkbox"
+                      checked={feedbackPrefs.speak}
+                      onChange={(e) => updateFeedbackPrefs({ speak: e.target.checked })}
+                    />
+                    Speak last 4 characters
+                  </label>
+                </div>
+                <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginTop: 10 }}>
+                  {Object.entries(FEEDBACK_PATTERNS).map(([key, p]) => (
+                    <button
+                      key={key}
+                      className="btn btn-outline"
+                      style={{ fontSize: 12 }}
+                      onClick={() => signalOutcome(key, 'TEST1234')}
+                    >
+                      ▶ {p.label}
+                    </button>
+                  ))}
+                </div>
+                {!soundOn && <div className="status" style={{ marginTop: 8 }}>Sound is muted in the header.</div>}
+              </div>
+            )}
           </div>
 
           <div style={{ marginTop: 16 }}>
@@ -1624,6 +2971,8 @@ export default function App() {
               className="btn btn-outline"
               onClick={() => {
                 setShowDamaged((v) => !v);
+                setShowOcr(false);
+                if (!showDamaged) warmOcrAssets();
               }}
               aria-expanded={showDamaged}
               aria-controls="damaged-panel"
@@ -1651,26 +3000,33 @@ export default function App() {
                       onChange={(e) => setManualSerial(e.target.value)}
                       placeholder="Enter serial manually"
                     />
+                    {!showOcr && (
+                      <button
+                        className="btn btn-outline"
+                        style={{ marginTop: 6 }}
+                        onClick={() => setShowOcr(true)}
+                        title="Read a hot-stamped serial from the rail with the camera (works offline)"
+                      >
+                        Read stamped serial (OCR)
+                      </button>
+                    )}
                   </div>
 
-                  <div>
-                    <label className="status">Rail Type (fixed)</label>
-                    <input className="input" value={FIXED_DAMAGED.railType} readOnly />
-                  </div>
-                  <div>
-                    <label className="status">Grade (fixed)</label>
-                    <input className="input" value={FIXED_DAMAGED.grade} readOnly />
-                  </div>
-                  <div>
-                    <label className="status">Spec (fixed)</label>
-                    <input className="input" value={FIXED_DAMAGED.spec} readOnly />
-                  </div>
-                  <div>
-                    <label className="status">Length (fixed)</label>
-                    <input className="input" value={FIXED_DAMAGED.lengthM} readOnly />
-                  </div>
+                  <SpecPicker catalog={specCatalog.entries} value={damagedSpec} onChange={setDamagedSpec} />
+                  <TraceFields value={damagedTrace} onChange={(patch) => setDamagedTrace((t) => ({ ...t, ...patch }))} />
                 </div>
 
+                {showOcr && (
+                  <OcrCapture
+                    onClose={() => setShowOcr(false)}
+                    onConfirm={(serial) => {
+                      setManualSerial(serial);
+                      setShowOcr(false);
+                      setStatus(`OCR serial ${serial} filled in — check it, then Save Damaged QR`);
+                    }}
+                  />
+                )}
+
                 <div style={{ marginTop: 12 }}>
                   <button className="btn" onClick={saveDamaged}>Save Damaged QR</button>
                 </div>
@@ -1679,6 +3035,8 @@ export default function App() {
           </div>
         </section>
 
+        <ReconciliationPanel mode={mode} scans={scans} totalCount={totalCount} loadAll={fetchAllStaged} />
+
         <section className="card">
           <h3>
             Staged Scans ({totalCount}) — {mode.toUpperCase()}
@@ -1698,8 +3056,54 @@ export default function App() {
               </span>
             )}
           </h3>
+          {(suspectCount > 0 || suspectOnly) && (
+            <label className="status" style={{ display: 'flex', alignItems: 'center', gap: 6, marginBottom: 8 }}>
+              <input type="checkbox" checked={suspectOnly} onChange={(e) => setSuspectOnly(e.target.checked)} />
+              Show suspect only ({suspectCount} loaded)
+            </label>
+          )}
+          <div style={{ display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap', marginBottom: 8 }}>
+            <input
+              className="input"
+              style={{ maxWidth: 260 }}
+              value={listFilter}
+              onChange={(e) => setListFilter(e.target.value)}
+              placeholder="Filter by serial, wagon or destination"
+            />
+            <label className="status" style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+              <input type="checkbox" checked={allVisibleSelected} onChange={toggleSelectAllVisible} disabled={!visibleScans.length} />
+              Select all shown ({visibleScans.length})
+            </label>
+          </div>
+          {selectedScans.length > 0 && (
+            <div className="notice" style={{ marginBottom: 8 }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+                <strong>{selectedScans.length} selected</strong>
+                <button className="btn btn-outline" onClick={bulkDelete} disabled={bulkBusy} style={{ borderColor: '#ef4444', color: '#ef4444' }}>
+                  Remove
+                </button>
+                <button className="btn btn-outline" onClick={() => setShowBulkUpdate((v) => !v)} disabled={bulkBusy} aria-expanded={showBulkUpdate}>
+                  Update Fields
+                </button>
+                <button
+                  className="btn btn-outline"
+                  onClick={bulkMove}
+                  disabled={bulkBusy || !isOnline || currentModePendingCount > 0}
+                  title={currentModePendingCount > 0 ? 'Sync pending scans before moving' : undefined}
+                >
+                  Move to {otherMode.toUpperCase()}
+                </button>
+                <button className="btn btn-outline" onClick={bulkExport} disabled={bulkBusy}>Export</button>
+                <button className="btn btn-outline" onClick={() => setSelectedIds(new Set())} disabled={bulkBusy}>Clear Selection</button>
+                {bulkBusy && <span className="status">Working…</span>}
+              </div>
+              {showBulkUpdate && (
+                <BulkUpdateForm count={selectedScans.length} onApply={bulkUpdate} onCancel={() => setShowBulkUpdate(false)} />
+              )}
+            </div>
+          )}
           <div className="list">
-            {scans.map((s) => (
+            {visibleScans.map((s) => (
               <div
                 key={s.id ?? `${s.serial}-${s.timestamp}`}
                 className="row"
@@ -1712,10 +3116,56 @@ export default function App() {
                   transition: 'background 0.3s ease',
                 }}
               >
-                <div className="title">{s.serial}</div>
+                <div className="title">
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.has(String(s.id))}
+                    onChange={() => toggleSelected(s.id)}
+                    aria-label={`Select ${s.serial}`}
+                    style={{ marginRight: 8 }}
+                  />
+                  {s.serial}
+                  {s.suspect && (
+                    <span
+                      title={s.suspectReason || 'Failed serial validation'}
+                      style={{
+                        marginLeft: 8,
+                        padding: '1px 6px',
+                        borderRadius: 6,
+                        background: '#fef3c7',
+                        color: '#92400e',
+                        fontSize: 11,
+                        fontWeight: 600,
+                      }}
+                    >
+                      SUSPECT
+                    </span>
+                  )}
+                </div>
+                {s.suspect && s.suspectReason && <div className="meta" style={{ color: '#b45309' }}>Suspect: {s.suspectReason}</div>}
                 <div className="meta">
-                  {s.stage} • {s.operator} • {new Date(s.timestamp || Date.now()).toLocaleString()}
+                  <span
+                    style={{
+                      marginRight: 6,
+                      padding: '1px 6px',
+                      borderRadius: 6,
+                      background: '#dbeafe',
+                      color: '#1e40af',
+                      fontSize: 11,
+                      fontWeight: 600,
+                    }}
+                  >
+                    {stageLabel(s.stage).toUpperCase()}
+                  </span>
+                  {s.operator} • {new Date(s.timestamp || Date.now()).toLocaleString()}
                 </div>
+                {stageHistory(s).length > 1 && (
+                  <div className="meta">
+                    {stageHistory(s)
+                      .map((h) => `${stageLabel(h.stage)} ${h.at ? new Date(h.at).toLocaleString() : '—'}${h.operator ? ` by ${h.operator}` : ''}${h.wagon ? ` (${h.wagon})` : ''}`)
+                      .join(' → ')}
+                  </div>
+                )}
 
                 {(s.wagonId1 || s.wagonId2 || s.wagonId3) && (
                   <div className="meta">Wagon IDs: {[s.wagonId1, s.wagonId2, s.wagonId3].filter(Boolean).join(' • ')}</div>
@@ -1735,7 +3185,34 @@ export default function App() {
                   {[s.grade, s.railType, s.spec, s.lengthM].filter(Boolean).join(' • ')}
                 </div>
 
-                <button className="btn btn-outline" onClick={() => handleRemoveScan(s.id)}>Remove</button>
+                {(s.heatNumber || s.mill || s.rollDate) && (
+                  <div className="meta">
+                    {[
+                      s.heatNumber && `Heat: ${s.heatNumber}`,
+                      s.mill && `Mill: ${s.mill}`,
+                      s.rollDate && `Rolled: ${s.rollDate}`,
+                    ]
+                      .filter(Boolean)
+                      .join(' • ')}
+                  </div>
+                )}
+
+                {editingId === s.id ? (
+                  <ScanEditor record={s} onSave={(patch) => saveScanEdit(s, patch)} onCancel={() => setEditingId(null)} />
+                ) : (
+                  <div style={{ display: 'flex', gap: 8 }}>
+                    <button className="btn btn-outline" onClick={() => setEditingId(s.id)}>Edit</button>
+                    <button
+                      className="btn btn-outline"
+                      onClick={() => moveToOtherMode(s)}
+                      disabled={!isOnline || currentModePendingCount > 0}
+                      title={currentModePendingCount > 0 ? 'Sync pending scans before moving' : undefined}
+                    >
+                      Move to {otherMode.toUpperCase()}
+                    </button>
+                    <button className="btn btn-outline" onClick={() => handleRemoveScan(s.id)}>Remove</button>
+                  </div>
+                )}
               </div>
             ))}
           </div>
@@ -1810,6 +3287,16 @@ export default function App() {
                 </div>
                 <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 12, flexWrap: 'wrap' }}>
                   <button className="btn btn-outline" onClick={handleDupDiscard}>Discard</button>
+                  {dupPrompt.matches?.some((r) => r?.id != null) && (
+                    <button
+                      className="btn btn-outline"
+                      onClick={handleDupMove}
+                      disabled={!isOnline || currentModePendingCount > 0}
+                      title="Move the staged record to the other inventory"
+                    >
+                      Move to {otherMode.toUpperCase()}
+                    </button>
+                  )}
                   <button className="btn" onClick={handleDupContinue}>Continue anyway</button>
                 </div>
               </div>
@@ -0,0 +1,95 @@
+// src/expectedList.js — supplier packing lists (expected serials) and reconciliation
+import * as XLSX from 'xlsx';
+
+const LIST_KEY = (m) => `rail-expected-${m === 'alt' ? 'alt' : 'main'}`;
+
+// Header cells that name the serial column (compared lower-case, spaces/punctuation removed).
+const SERIAL_HEADERS = ['serial', 'serialno', 'serialnumber', 'sn', 'railserial', 'railid', 'railno'];
+const headerKey = (v) => String(v ?? '').toLowerCase().replace(/[\s_.#-]+/g, '');
+const looksLikeSerial = (v) => /^[A-Z0-9][A-Z0-9-]{3,}$/.test(v);
+
+const normalize = (v) => String(v ?? '').trim().toUpperCase();
+
+export function loadExpectedList(mode) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(LIST_KEY(mode)) || 'null');
+    return stored && Array.isArray(stored.serials) ? stored : null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveExpectedList(mode, list) {
+  try {
+    if (list) localStorage.setItem(LIST_KEY(mode), JSON.stringify(list));
+    else localStorage.removeItem(LIST_KEY(mode));
+  } catch {
+    throw new Error('Expected list is too large to keep on this device.');
+  }
+  return list;
+}
+
+/**
+ * Reads serials from the first sheet of an XLSX/CSV file. Uses the column headed
+ * "Serial" (or similar) when there is one, otherwise the first column with serial-like values.
+ */
+export async function parseExpectedFile(file) {
+  const wb = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+  const sheet = wb.Sheets[wb.SheetNames[0]];
+  if (!sheet) throw new Error('The file has no sheets.');
+  const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '' });
+
+  let col = -1;
+  let start = 0;
+  for (let r = 0; r < Math.min(rows.length, 10) && col === -1; r++) {
+    col = rows[r].findIndex((cell) => SERIAL_HEADERS.includes(headerKey(cell)));
+    start = r + 1;
+  }
+  if (col === -1) {
+    start = 0;
+    const width = Math.max(0, ...rows.map((r) => r.length));
+    for (let c = 0; c < width && col === -1; c++) {
+      if (rows.some((r) => looksLikeSerial(normalize(r[c])))) col = c;
+    }
+  }
+  if (col === -1) throw new Error('No serial column found.');
+
+  const serials = [];
+  const seen = new Set();
+  for (const row of rows.slice(start)) {
+    const serial = normalize(row[col]);
+    if (!looksLikeSerial(serial) || seen.has(serial)) continue;
+    seen.add(serial);
+    serials.push(serial);
+  }
+  if (!serials.length) throw new Error('No serials found in the file.');
+  return serials;
+}
+
+// Splits expected vs scanned serials into { matched, missing, unexpected }, each sorted.
+export function reconcile(expectedSerials, scannedSerials) {
+  const expected = new Set((expectedSerials || []).map(normalize).filter(Boolean));
+  const scanned = new Set([...(scannedSerials || [])].map(normalize).filter(Boolean));
+  const matched = [];
+  const missing = [];
+  for (const s of expected) (scanned.has(s) ? matched : missing).push(s);
+  const unexpected = [...scanned].filter((s) => !expected.has(s));
+  const sort = (list) => list.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  return { matched: sort(matched), missing: sort(missing), unexpected: sort(unexpected) };
+}
+
+export function exportReconciliation(result, { mode, name }) {
+  const wb = XLSX.utils.book_new();
+  const sheets = [
+    ['Expected & Scanned', result.matched],
+    ['Missing', result.missing],
+    ['Unexpected', result.unexpected],
+  ];
+  for (const [title, serials] of sheets) {
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([['Serial'], ...serials.map((s) => [s])]), title);
+  }
+  const label = String(name || 'Expected').replace(/[^\w-]+/g, '_');
+  const filename = `Reconciliation_${mode.toUpperCase()}_${label}_${new Date().toISOString().replace(/[:.]/g, '-')}.xlsx`;
+  XLSX.writeFile(wb, filename);
+  return filename;
+}
@@ -0,0 +1,51 @@
+// src/feedback.js — per-outcome tone / vibration / speech patterns
+
+// Tones are [frequencyHz, durationMs, gapAfterMs]; vibrate follows navigator.vibrate().
+// Outcomes are meant to be told apart without looking: rising = good, low = problem.
+export const FEEDBACK_PATTERNS = {
+  captured: { label: 'Captured', tones: [[1500, 80, 0]], vibrate: [40] },
+  saved: { label: 'Saved', tones: [[1500, 70, 50], [2000, 90, 0]], vibrate: [70] },
+  offline: { label: 'Saved offline', tones: [[1500, 70, 50], [1100, 140, 0]], vibrate: [70, 60, 70] },
+  duplicate: { label: 'Duplicate', tones: [[700, 140, 80], [700, 140, 0]], vibrate: [200, 100, 200] },
+  'no-serial': { label: 'No serial', tones: [[450, 260, 0]], vibrate: [300] },
+  error: { label: 'Error', tones: [[350, 180, 60], [250, 320, 0]], vibrate: [400, 120, 400] },
+};
+
+export const DEFAULT_FEEDBACK_PREFS = { tones: true, vibrate: true, speak: false };
+
+const prefsKey = (operator) => `rail-feedback-${String(operator || 'default').trim().toLowerCase()}`;
+
+export function loadFeedbackPrefs(operator) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(prefsKey(operator)) || 'null');
+    return { ...DEFAULT_FEEDBACK_PREFS, ...(stored || {}) };
+  } catch {
+    return { ...DEFAULT_FEEDBACK_PREFS };
+  }
+}
+
+export function saveFeedbackPrefs(operator, prefs) {
+  try {
+    localStorage.setItem(prefsKey(operator), JSON.stringify(prefs));
+  } catch {}
+}
+
+export function vibratePattern(pattern) {
+  try {
+    if (pattern?.length && typeof navigator.vibrate === 'function') navigator.vibrate(pattern);
+  } catch {}
+}
+
+// Spoken one character at a time so "0042" isn't read as "forty-two".
+export function speakSerialTail(serial, prefix = '') {
+  try {
+    const synth = window.speechSynthesis;
+    const tail = String(serial || '').trim().slice(-4);
+    if (!synth || !tail) return;
+    synth.cancel();
+    const text = `${prefix ? `${prefix} ` : ''}${tail.split('').join(' ')}`;
+    const utter = new SpeechSynthesisUtterance(text);
+    utter.rate = 1.1;
+    synth.speak(utter);
+  } catch {}
+}
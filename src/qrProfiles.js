@@ -0,0 +1,230 @@
+// src/qrProfiles.js — supplier-specific QR payload parser profiles
+//
+// A profile describes one mill's label layout:
+//   { name, match, delimiters, fields: { serial: { pos, pattern }, grade: {...}, ... } }
+// `match` (regex, optional) must hit the payload for the profile to apply.
+// `delimiters` are the separator characters; blank means the generic whitespace/| , : / split.
+// A field with `pos` (1-based) reads that token, checked against `pattern` if given;
+// a field with only `pattern` takes the first token (or, failing that, the first match in
+// the whole payload) that matches. A capture group, when present, is the value.
+//
+// Structured payloads (JSON, URL query, KEY=VALUE, GS1) are recognised before any profile.
+//
+// The server copy (GET/PUT /qr-profiles) is the maintained list; localStorage keeps the last
+// copy we saw so scans still parse offline.
+
+import { parseStructuredPayload } from './structuredPayload.js';
+
+const PROFILES_KEY = 'rail-qr-profiles';
+
+export const GENERIC_PROFILE = 'Generic';
+
+export const PROFILE_FIELDS = [
+  { key: 'serial', label: 'Serial' },
+  { key: 'grade', label: 'Grade' },
+  { key: 'railType', label: 'Rail Type' },
+  { key: 'spec', label: 'Spec' },
+  { key: 'lengthM', label: 'Length' },
+  { key: 'heatNumber', label: 'Heat No' },
+  { key: 'mill', label: 'Mill' },
+  { key: 'rollDate', label: 'Roll Date' },
+];
+
+export function emptyProfile() {
+  const fields = {};
+  for (const f of PROFILE_FIELDS) fields[f.key] = { pos: '', pattern: '' };
+  return { name: '', match: '', delimiters: '', fields };
+}
+
+export function regexError(source) {
+  if (!source) return '';
+  try {
+    new RegExp(source, 'i');
+    return '';
+  } catch (e) {
+    return e.message;
+  }
+}
+
+const compile = (source) => {
+  if (!source) return null;
+  try { return new RegExp(source, 'i'); } catch { return undefined; }
+};
+
+let cache = null;
+
+export function loadProfiles() {
+  if (cache) return cache;
+  try {
+    const stored = JSON.parse(localStorage.getItem(PROFILES_KEY) || '[]');
+    cache = Array.isArray(stored) ? stored.filter((p) => p?.name) : [];
+  } catch {
+    cache = [];
+  }
+  return cache;
+}
+
+export function saveProfiles(list) {
+  cache = (Array.isArray(list) ? list : []).filter((p) => p?.name);
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(cache));
+  } catch {}
+  return cache;
+}
+
+// Downloads the maintained profiles and caches them; null when offline or the server has none.
+export async function fetchProfiles(url) {
+  try {
+    const resp = await fetch(url);
+    if (!resp.ok) return null;
+    const data = await resp.json();
+    const list = Array.isArray(data) ? data : data?.profiles;
+    if (!Array.isArray(list)) return null;
+    return saveProfiles(list);
+  } catch {
+    return null;
+  }
+}
+
+// Saves edited profiles locally and, when reachable, to the server. Resolves true if the server took them.
+export async function publishProfiles(url, list) {
+  const profiles = saveProfiles(list);
+  try {
+    const resp = await fetch(url, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ profiles }),
+    });
+    return resp.ok;
+  } catch {
+    return false;
+  }
+}
+
+function cleanPayload(raw) {
+  return String(raw || '')
+    .replace(/[^\x20-\x7E]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// The original single-layout heuristics; used when no configured profile matches.
+function parseGeneric(clean) {
+  const tokens = clean.split(/[ \t\r\n|,:/]+/).filter(Boolean);
+
+  const serial =
+    tokens.find((t) => /^[A-Z0-9]{12,}$/.test(t)) ||
+    tokens.find((t) => /^[A-Z0-9]{8,}$/.test(t)) ||
+    '';
+
+  let grade = (tokens.find((t) => /^SAR\d{2}$/i.test(t)) || '').toUpperCase();
+
+  let railType = '';
+  for (const t of tokens) {
+    const u = t.toUpperCase();
+    if (/^R\d{3}(?:L?HT)?$/.test(u)) {
+      railType = u;
+      break;
+    }
+  }
+
+  let spec = '';
+  for (let i = 0; i < tokens.length; i++) {
+    const u = tokens[i].toUpperCase();
+    if (/^(ATX|ATA|AREMA|UIC|EN\d*|GB\d*)$/.test(u)) {
+      const next = tokens[i + 1] || '';
+      if (/^[A-Z0-9-]{3,}$/i.test(next)) spec = `${tokens[i]} ${next}`;
+      else spec = tokens[i];
+      break;
+    }
+  }
+
+  const lengthM = tokens.find((t) => /^\d{1,3}(\.\d+)?m$/i.test(t)) || '';
+
+  if (grade && railType && grade === railType) grade = '';
+
+  return { serial, grade, railType, spec, lengthM };
+}
+
+const escapeClass = (chars) => chars.replace(/[\]\\^-]/g, '\\$&');
+
+function splitTokens(clean, delimiters) {
+  if (!delimiters) return clean.split(/[ \t\r\n|,:/]+/).filter(Boolean);
+  // Keep empty tokens so positions stay stable for "A||C".
+  return clean.split(new RegExp(`[${escapeClass(delimiters)}]`)).map((t) => t.trim());
+}
+
+const pick = (m) => (m ? (m[1] !== undefined ? m[1] : m[0]) : '');
+
+// Returns the field value, '' when absent, or null when a positional value fails its pattern.
+function readField(def, tokens, clean) {
+  const pos = parseInt(def?.pos, 10);
+  const re = compile(def?.pattern);
+  if (re === undefined) return null;
+  if (pos > 0) {
+    const token = tokens[pos - 1] || '';
+    if (!re) return token;
+    const m = token.match(re);
+    return m ? pick(m) : null;
+  }
+  if (!re) return '';
+  for (const t of tokens) {
+    const m = t.match(re);
+    if (m) return pick(m);
+  }
+  return pick(clean.match(re));
+}
+
+// Applies one profile; null when it doesn't fit the payload. `score` ranks competing matches.
+export function applyProfile(profile, raw) {
+  const clean = cleanPayload(raw);
+  const matchRe = compile(profile.match);
+  if (matchRe === undefined || (matchRe && !matchRe.test(clean))) return null;
+
+  const tokens = splitTokens(clean, profile.delimiters || '');
+  const out = { raw: clean, profile: profile.name };
+  let score = matchRe ? 10 : 0;
+  for (const { key } of PROFILE_FIELDS) {
+    const value = readField(profile.fields?.[key], tokens, clean);
+    if (value === null) {
+      if (key === 'serial') return null;
+      out[key] = '';
+      continue;
+    }
+    out[key] = String(value).trim();
+    if (out[key]) score += 1;
+  }
+  if (!out.serial) return null;
+  out.serial = out.serial.toUpperCase();
+  return { result: out, score };
+}
+
+// Structured labels name their fields, so the payload is kept as scanned (no character stripping).
+function parseStructured(raw) {
+  const structured = parseStructuredPayload(raw);
+  if (!structured) return null;
+  const { kind, fields, attributes } = structured;
+  const serial = fields.serial || parseGeneric(cleanPayload(Object.values(attributes).join(' '))).serial;
+  if (!serial) return null;
+  return { raw: String(raw).trim(), ...fields, serial, profile: `Structured (${kind})`, attributes };
+}
+
+/**
+ * Parses a scanned payload: structured formats first, then the best-matching configured
+ * profile, then the generic heuristics. Returns
+ * { raw, serial, grade, railType, spec, lengthM, heatNumber, mill, rollDate, profile, attributes? }.
+ */
+export function parseQrPayload(raw, profiles = loadProfiles()) {
+  const structured = parseStructured(raw);
+  if (structured) return structured;
+
+  let best = null;
+  for (const p of profiles) {
+    const hit = applyProfile(p, raw);
+    if (hit && (!best || hit.score > best.score)) best = hit;
+  }
+  if (best) return best.result;
+
+  const clean = cleanPayload(raw);
+  return { raw: clean, ...parseGeneric(clean), heatNumber: '', mill: '', rollDate: '', profile: GENERIC_PROFILE };
+}
@@ -0,0 +1,103 @@
+// src/scanImport.js — read scans typed into Excel/CSV and map them onto staged records
+import * as XLSX from 'xlsx';
+import { wagonLabel } from './stages.js';
+
+// Record fields an import column can fill; `aliases` guess the mapping from the header row.
+export const IMPORT_FIELDS = [
+  { key: 'serial', label: 'Serial', required: true, aliases: ['serial', 'serialno', 'serialnumber', 'sn', 'railserial', 'railid'] },
+  { key: 'operator', label: 'Operator', aliases: ['operator', 'clerk', 'scannedby', 'user'] },
+  { key: 'wagon1Id', label: 'Wagon ID 1', aliases: ['wagon1id', 'wagonid1', 'wagon1', 'wagon', 'wagonid'] },
+  { key: 'wagon2Id', label: 'Wagon ID 2', aliases: ['wagon2id', 'wagonid2', 'wagon2'] },
+  { key: 'wagon3Id', label: 'Wagon ID 3', aliases: ['wagon3id', 'wagonid3', 'wagon3'] },
+  { key: 'receivedAt', label: 'Received At', aliases: ['receivedat', 'received', 'recievedat'] },
+  { key: 'loadedAt', label: 'Loaded At', aliases: ['loadedat', 'loaded'] },
+  { key: 'destination', label: 'Destination', aliases: ['destination', 'dest'] },
+  { key: 'grade', label: 'Grade', aliases: ['grade', 'steelgrade'] },
+  { key: 'railType', label: 'Rail Type', aliases: ['railtype', 'type', 'profile'] },
+  { key: 'spec', label: 'Spec', aliases: ['spec', 'specification', 'standard'] },
+  { key: 'lengthM', label: 'Length', aliases: ['length', 'lengthm', 'len'] },
+  { key: 'heatNumber', label: 'Heat No', aliases: ['heatnumber', 'heatno', 'heat', 'castno'] },
+  { key: 'mill', label: 'Mill', aliases: ['mill', 'manufacturer'] },
+  { key: 'rollDate', label: 'Roll Date', aliases: ['rolldate', 'rollingdate', 'rolled'] },
+  { key: 'timestamp', label: 'Scan Time', aliases: ['timestamp', 'scantime', 'scannedat', 'datetime', 'date', 'time'] },
+];
+
+const headerKey = (v) => String(v ?? '').toLowerCase().replace(/[\s_.#-]+/g, '');
+
+const cellText = (v) => {
+  if (v instanceof Date) return Number.isNaN(v.getTime()) ? '' : v.toISOString();
+  return String(v ?? '').trim();
+};
+
+// First sheet as { headers, rows }; the first non-empty row is the header row.
+export async function readImportFile(file) {
+  const wb = XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+  const sheet = wb.Sheets[wb.SheetNames[0]];
+  if (!sheet) throw new Error('The file has no sheets.');
+  const all = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' }).map((r) => r.map(cellText));
+  const start = all.findIndex((r) => r.some(Boolean));
+  if (start === -1) throw new Error('The file is empty.');
+  const headers = all[start].map((h, i) => h || `Column ${i + 1}`);
+  const rows = all.slice(start + 1).filter((r) => r.some(Boolean));
+  if (!rows.length) throw new Error('The file has a header row but no data.');
+  return { headers, rows };
+}
+
+// { fieldKey: columnIndex } from the header names; -1 means not mapped.
+export function guessMapping(headers) {
+  const keys = headers.map(headerKey);
+  const used = new Set();
+  const mapping = {};
+  for (const f of IMPORT_FIELDS) {
+    const idx = keys.findIndex((k, i) => !used.has(i) && f.aliases.includes(k));
+    mapping[f.key] = idx;
+    if (idx !== -1) used.add(idx);
+  }
+  return mapping;
+}
+
+/**
+ * Builds a staged record from one sheet row, shaped like the ones Confirm & Save creates.
+ * Unmapped operator / received / loaded fall back to `defaults`. Returns { rec } or { error }.
+ */
+export function buildImportRecord(row, mapping, defaults) {
+  const get = (key) => (mapping[key] >= 0 ? String(row[mapping[key]] ?? '').trim() : '');
+  const serial = get('serial').toUpperCase();
+  if (!serial) return { error: 'No serial' };
+
+  let timestamp = defaults.timestamp;
+  const rawTime = get('timestamp');
+  if (rawTime) {
+    const t = new Date(rawTime);
+    if (Number.isNaN(t.getTime())) return { error: `Unreadable scan time "${rawTime}"` };
+    timestamp = t.toISOString();
+  }
+
+  const lengthM = get('lengthM');
+  const rec = {
+    serial,
+    stage: 'received',
+    operator: get('operator') || defaults.operator,
+    wagon1Id: get('wagon1Id'),
+    wagon2Id: get('wagon2Id'),
+    wagon3Id: get('wagon3Id'),
+    receivedAt: get('receivedAt') || defaults.receivedAt,
+    loadedAt: get('loadedAt') || defaults.loadedAt,
+    destination: get('destination'),
+    timestamp,
+    grade: get('grade'),
+    railType: get('railType'),
+    spec: get('spec'),
+    // A bare number is metres, as on structured labels.
+    lengthM: /^\d+(\.\d+)?$/.test(lengthM) ? `${lengthM} m` : lengthM,
+    heatNumber: get('heatNumber'),
+    mill: get('mill'),
+    rollDate: get('rollDate'),
+    qrRaw: serial,
+    parserProfile: 'Import',
+  };
+  rec.stageHistory = [
+    { stage: 'received', at: timestamp, operator: rec.operator, wagon: wagonLabel([rec.wagon1Id, rec.wagon2Id, rec.wagon3Id]) },
+  ];
+  return { rec };
+}
@@ -0,0 +1,157 @@
+// src/scanner/OcrCapture.jsx
+import React, { useEffect, useRef, useState } from 'react';
+import { loadOcrEngine, recognizeSerial, terminateOcr } from './ocr.js';
+import { roiRect } from './overlay.js';
+
+// Serials are stamped in one line along the web: a wide, short guide strip.
+const STRIP = { x: 0.08, y: 0.38, w: 0.84, h: 0.24 };
+// Tesseract reads best with glyphs ~30px+ tall; small strips are upscaled.
+const MIN_STRIP_HEIGHT = 120;
+
+export default function OcrCapture({ onConfirm, onClose }) {
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const mounted = useRef(false);
+  const [status, setStatus] = useState('Starting camera...');
+  const [busy, setBusy] = useState(false);
+  const [candidates, setCandidates] = useState(null);
+  const [chosen, setChosen] = useState('');
+
+  const onProgress = (step, progress) => {
+    if (mounted.current) setStatus(`OCR: ${step}${progress ? ` ${Math.round(progress * 100)}%` : ''}`);
+  };
+
+  useEffect(() => {
+    mounted.current = true;
+    (async () => {
+      try {
+        const stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: { ideal: 'environment' }, width: { ideal: 1920 }, height: { ideal: 1080 } },
+          audio: false,
+        });
+        if (!mounted.current) {
+          stream.getTracks().forEach((t) => t.stop());
+          return;
+        }
+        streamRef.current = stream;
+        if (videoRef.current) {
+          videoRef.current.srcObject = stream;
+          await videoRef.current.play().catch(() => {});
+        }
+        setStatus('Line up the stamped serial inside the box, then Capture');
+      } catch (err) {
+        console.error('OCR camera error:', err);
+        if (mounted.current) setStatus('Unable to access camera for OCR');
+      }
+    })();
+    // Load the engine while the user is aiming.
+    loadOcrEngine(onProgress).catch((err) => console.warn('OCR engine failed to load:', err?.message));
+
+    return () => {
+      mounted.current = false;
+      try { streamRef.current?.getTracks().forEach((t) => t.stop()); } catch {}
+      streamRef.current = null;
+      // The worker holds the WASM engine and language data; free it with the camera.
+      terminateOcr();
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const grabStrip = () => {
+    const video = videoRef.current;
+    if (!video || video.readyState < 2 || !video.videoWidth) return null;
+    const rect = roiRect(video.videoWidth, video.videoHeight, STRIP);
+    const scale = Math.max(1, MIN_STRIP_HEIGHT / rect.h);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(rect.w * scale);
+    canvas.height = Math.round(rect.h * scale);
+    canvas.getContext('2d').drawImage(video, rect.x, rect.y, rect.w, rect.h, 0, 0, canvas.width, canvas.height);
+    return canvas;
+  };
+
+  const onCapture = async () => {
+    if (busy) return;
+    const strip = grabStrip();
+    if (!strip) {
+      setStatus('Camera not ready yet');
+      return;
+    }
+    setBusy(true);
+    setCandidates(null);
+    setStatus('Reading serial...');
+    try {
+      const found = await recognizeSerial(strip, onProgress);
+      if (!mounted.current) return;
+      setCandidates(found);
+      setChosen(found[0]?.text || '');
+      setStatus(found.length ? 'Check the serial against the rail before using it' : 'No serial found. Try again closer or with the torch on.');
+    } catch (err) {
+      console.error('OCR error:', err);
+      if (mounted.current) setStatus('OCR failed. Enter the serial manually.');
+    } finally {
+      if (mounted.current) setBusy(false);
+    }
+  };
+
+  return (
+    <div className="card" style={{ marginTop: 12 }}>
+      <div className="status" style={{ marginBottom: 8 }}>{status}</div>
+
+      <div style={{ position: 'relative', borderRadius: 8, overflow: 'hidden', background: '#000' }}>
+        <video ref={videoRef} style={{ width: '100%', display: 'block' }} muted playsInline autoPlay />
+        <div
+          aria-hidden="true"
+          style={{
+            position: 'absolute',
+            left: `${STRIP.x * 100}%`,
+            top: `${STRIP.y * 100}%`,
+            width: `${STRIP.w * 100}%`,
+            height: `${STRIP.h * 100}%`,
+            border: '2px solid rgba(255,255,255,.85)',
+            borderRadius: 6,
+            boxShadow: '0 0 0 9999px rgba(2,6,23,.35)',
+            pointerEvents: 'none',
+          }}
+        />
+      </div>
+
+      <div style={{ display: 'flex', gap: 8, marginTop: 8, flexWrap: 'wrap' }}>
+        <button className="btn" onClick={onCapture} disabled={busy}>
+          {busy ? 'Reading...' : 'Capture'}
+        </button>
+        <button className="btn btn-outline" onClick={onClose}>Cancel</button>
+      </div>
+
+      {candidates && candidates.length > 0 && (
+        <div className="notice" style={{ marginTop: 8 }}>
+          <strong>Possible serials</strong>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: 4, marginTop: 6 }}>
+            {candidates.map((c) => (
+              <label key={c.text} className="meta" style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                <input
+                  type="radio"
+                  name="ocr-candidate"
+                  checked={chosen === c.text}
+                  onChange={() => setChosen(c.text)}
+                />
+                <code>{c.text}</code> • {c.confidence}% confidence
+              </label>
+            ))}
+          </div>
+          <input
+            className="input"
+            style={{ marginTop: 8 }}
+            value={chosen}
+            onChange={(e) => setChosen(e.target.value.toUpperCase())}
+            aria-label="Serial to use"
+          />
+          <div style={{ marginTop: 8 }}>
+            <button className="btn" onClick={() => chosen.trim() && onConfirm(chosen.trim())} disabled={!chosen.trim()}>
+              Use this serial
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
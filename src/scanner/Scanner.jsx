@@ -1,9 +1,100 @@
 // src/scanner/Scanner.jsx
 import React, { useEffect, useRef, useState } from 'react';
 import { BrowserMultiFormatReader } from '@zxing/browser';
-import { BarcodeFormat, DecodeHintType } from '@zxing/library';
+import { DecodeHintType } from '@zxing/library';
+import {
+  DEFAULT_FORMATS,
+  createNativeDetector,
+  formatLabel,
+  nativeFormatName,
+  normalizeFormats,
+  toZxingFormats,
+  zxingFormatName,
+} from './formats.js';
+import { decodeImageFile } from './decodeImage.js';
+import { LIGHT_SAMPLE_MS, decideLight, measureLight } from './lightMeter.js';
+import {
+  describeCamera,
+  findSavedCamera,
+  listCameras,
+  loadCameraChoice,
+  loadCapsCache,
+  probeCameras,
+  saveCameraChoice,
+  saveCaps,
+} from './cameras.js';
+import {
+  FULL_FRAME,
+  OUTLINE_MS,
+  ROI,
+  clearOverlay,
+  drawOutline,
+  maskPoints,
+  nativePoints,
+  offsetPoints,
+  roiRect,
+  zxingPoints,
+} from './overlay.js';
 
-export default function Scanner({ onDetected, onUserInteract, fps = 10 }) {
+const DECODER_LABELS = {
+  native: 'native detector',
+  zxing: 'ZXing',
+  'worker-native': 'native detector (worker)',
+  'worker-zxing': 'ZXing (worker)',
+};
+
+// A worker that doesn't answer within this window is treated as broken.
+const WORKER_TIMEOUT_MS = 3000;
+
+// Camera self-recovery: reopen attempts, pause between them, and how long a mute may last.
+const RECOVERY_ATTEMPTS = 3;
+const RECOVERY_DELAY_MS = 1500;
+const MUTE_GRACE_MS = 2000;
+
+function createDecodeWorker() {
+  if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' || typeof createImageBitmap !== 'function') {
+    return null;
+  }
+  try {
+    return new Worker(new URL('./decode.worker.js', import.meta.url), { type: 'module' });
+  } catch {
+    return null;
+  }
+}
+
+// Upper bound on codes read from one frame in multi-code mode.
+const MAX_CODES_PER_FRAME = 8;
+
+// ZXing only returns one code per pass: mask each hit and decode again.
+function decodeZxingAll(reader, canvas, max) {
+  const hits = [];
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  for (let i = 0; i < max; i++) {
+    let result;
+    try {
+      result = reader.decodeFromCanvas(canvas);
+    } catch {
+      break; // NotFound / Checksum / Format: nothing (more) readable in this frame.
+    }
+    const text = result.getText ? result.getText() : result.text;
+    if (!text || hits.some((h) => h.text === text)) break;
+    const points = zxingPoints(result);
+    hits.push({ text, format: zxingFormatName(result), points });
+    if (i + 1 >= max || !maskPoints(ctx, points)) break;
+  }
+  return hits;
+}
+
+export default function Scanner({
+  onDetected,
+  onUserInteract,
+  onPhotoFailed,
+  onMultiDetected,
+  labelFor,
+  multi = false,
+  fps = 10,
+  formats = DEFAULT_FORMATS,
+}) {
   const videoRef = useRef(null);
   const [active, setActive] = useState(false);
   const [status, setStatus] = useState('Idle');
@@ -12,6 +103,44 @@ export default function Scanner({ onDetected, onUserInteract, fps = 10 }) {
   const streamRef = useRef(null);
   const mounted = useRef(false);
 
+  // Active decode loop timer and which decoder it feeds (see DECODER_LABELS).
+  // The generation counter stops a loop whose decode was in flight when it was replaced.
+  const loopRef = useRef(null);
+  const loopGenRef = useRef(0);
+  const [decoder, setDecoder] = useState('');
+
+  // Decode worker and its outstanding requests (keyed by frame id, or 'ready' for config).
+  const workerRef = useRef(null);
+  const workerFailedRef = useRef(false);
+  const workerCallsRef = useRef(new Map());
+  const frameIdRef = useRef(0);
+
+  // Region-of-interest capture canvas and the outline overlay drawn over <video>.
+  const roiCanvasRef = useRef(null);
+  const overlayRef = useRef(null);
+  const outlineTimerRef = useRef(null);
+
+  // Still-photo decoding (file picker or camera capture intent)
+  const fileInputRef = useRef(null);
+  const captureInputRef = useRef(null);
+  const [photoBusy, setPhotoBusy] = useState(false);
+
+  // Keep the latest callback so long-running loops never call a stale closure.
+  const onDetectedRef = useRef(onDetected);
+  onDetectedRef.current = onDetected;
+
+  // Multi-code mode: codes accumulate across frames (deduped by text) until accepted.
+  const multiRef = useRef(multi);
+  multiRef.current = multi;
+  const [multiHits, setMultiHits] = useState([]);
+
+  // Camera picker: '' means auto (rear-camera heuristic); a deviceId is the remembered choice.
+  const [cameras, setCameras] = useState([]);
+  const [capsCache, setCapsCache] = useState(() => loadCapsCache());
+  const [selectedCameraId, setSelectedCameraId] = useState(() => loadCameraChoice()?.deviceId || '');
+  const [activeDeviceId, setActiveDeviceId] = useState('');
+  const [probing, setProbing] = useState(false);
+
   // Camera controls (capability-driven)
   const [hasTorch, setHasTorch] = useState(false);
   const [torchOn, setTorchOn] = useState(false);
@@ -27,10 +156,49 @@ export default function Scanner({ onDetected, onUserInteract, fps = 10 }) {
   const [expStep, setExpStep] = useState(1);
   const [exposure, setExposure] = useState(0);
 
+  // Automatic light control: torch on in the dark, exposure down on glare.
+  // Touching the torch button or exposure slider hands that control back to the user.
+  const [autoLight, setAutoLight] = useState(() => localStorage.getItem('rail-auto-light') !== '0');
+  const [autoNote, setAutoNote] = useState('');
+  const lightCanvasRef = useRef(null);
+  const torchManualRef = useRef(false);
+  const exposureManualRef = useRef(false);
+  const baseExposureRef = useRef(0);
+  const lightChangedAtRef = useRef(0);
+  const lightStateRef = useRef(null);
+  lightStateRef.current = { hasTorch, torchOn, hasExposureComp, exposure, expMin, expStep };
+
+  // Self-recovery: the track can end or go mute when the phone locks, the app is
+  // backgrounded or another app grabs the camera. We reopen it with the same settings.
+  const activeRef = useRef(false);
+  activeRef.current = active;
+  const activeDeviceRef = useRef('');
+  const trackSettingsRef = useRef(null);
+  trackSettingsRef.current = { zoom: hasZoom ? zoom : null, torchOn, exposure: hasExposureComp ? exposure : null };
+  const recoveringRef = useRef(false);
+  const recoverCameraRef = useRef(null);
+  const suspendedRef = useRef(null);
+  const muteTimerRef = useRef(null);
+
+  const activeFormats = normalizeFormats(formats);
+  const formatsKey = activeFormats.join(',');
+  // Decoder starts can come from callbacks set up in an earlier render (track events,
+  // visibility, worker errors), so they read the current formats and rate through refs.
+  const formatsRef = useRef(activeFormats);
+  formatsRef.current = activeFormats;
+  const fpsRef = useRef(fps);
+  fpsRef.current = fps;
+
   const stopStream = () => {
+    clearTimeout(muteTimerRef.current);
     try {
       if (streamRef.current) {
-        streamRef.current.getTracks().forEach((t) => { try { t.stop(); } catch {} });
+        streamRef.current.getTracks().forEach((t) => {
+          t.onended = null;
+          t.onmute = null;
+          t.onunmute = null;
+          try { t.stop(); } catch {}
+        });
         streamRef.current = null;
       }
     } catch {}
@@ -43,10 +211,226 @@ export default function Scanner({ onDetected, onUserInteract, fps = 10 }) {
     } catch {}
   };
 
-  const buildHints = () => {
+  const stopDecoding = () => {
+    loopGenRef.current += 1;
+    if (loopRef.current) {
+      clearTimeout(loopRef.current);
+      loopRef.current = null;
+    }
+    clearTimeout(outlineTimerRef.current);
+    clearOverlay(overlayRef.current);
+    safeResetReader();
+  };
+
+  const emitDetected = (text, format) => {
+    if (!mounted.current || !text) return;
+    const cb = onDetectedRef.current;
+    if (cb) cb(text, { format });
+  };
+
+  // Copy the aiming-box region of the current video frame into a reusable canvas.
+  const grabRoi = () => {
+    const video = videoRef.current;
+    if (!video || video.readyState < 2 || !video.videoWidth) return null;
+    const rect = roiRect(video.videoWidth, video.videoHeight, multiRef.current ? FULL_FRAME : ROI);
+    if (!roiCanvasRef.current) roiCanvasRef.current = document.createElement('canvas');
+    const canvas = roiCanvasRef.current;
+    if (canvas.width !== rect.w) canvas.width = rect.w;
+    if (canvas.height !== rect.h) canvas.height = rect.h;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    if (!ctx) return null;
+    ctx.drawImage(video, rect.x, rect.y, rect.w, rect.h, 0, 0, rect.w, rect.h);
+    return { source: canvas, rect };
+  };
+
+  // Worker path: crop straight into an ImageBitmap and transfer it, no main-thread pixel reads.
+  const grabRoiBitmap = async () => {
+    const video = videoRef.current;
+    if (!video || video.readyState < 2 || !video.videoWidth) return null;
+    const rect = roiRect(video.videoWidth, video.videoHeight, multiRef.current ? FULL_FRAME : ROI);
+    const bitmap = await createImageBitmap(video, rect.x, rect.y, rect.w, rect.h);
+    return { source: bitmap, rect };
+  };
+
+  const settleWorkerCalls = () => {
+    workerCallsRef.current.forEach((resolve) => resolve(null));
+    workerCallsRef.current.clear();
+  };
+
+  const disposeWorker = () => {
+    try { workerRef.current?.terminate(); } catch {}
+    workerRef.current = null;
+    settleWorkerCalls();
+  };
+
+  const ensureWorker = () => {
+    if (workerRef.current || workerFailedRef.current) return workerRef.current;
+    const worker = createDecodeWorker();
+    if (!worker) {
+      workerFailedRef.current = true;
+      return null;
+    }
+    worker.onmessage = (e) => {
+      const msg = e.data || {};
+      const key = msg.type === 'ready' ? 'ready' : msg.id;
+      const resolve = workerCallsRef.current.get(key);
+      if (!resolve) return;
+      workerCallsRef.current.delete(key);
+      resolve(msg);
+    };
+    worker.onerror = (e) => {
+      console.warn('Decode worker failed, using main thread:', e?.message);
+      workerFailedRef.current = true;
+      disposeWorker();
+      if (mounted.current && streamRef.current) startDecoding().catch(() => {});
+    };
+    workerRef.current = worker;
+    return worker;
+  };
+
+  const callWorker = (key, message, transfer = []) =>
+    new Promise((resolve) => {
+      const worker = workerRef.current;
+      if (!worker) {
+        resolve(null);
+        return;
+      }
+      let done = false;
+      const finish = (msg) => {
+        if (done) return;
+        done = true;
+        resolve(msg);
+      };
+      // A newer request with the same key (e.g. a second config) supersedes the old one.
+      workerCallsRef.current.get(key)?.(null);
+      workerCallsRef.current.set(key, finish);
+      setTimeout(() => {
+        if (workerCallsRef.current.get(key) === finish) workerCallsRef.current.delete(key);
+        finish(null);
+      }, WORKER_TIMEOUT_MS);
+      worker.postMessage(message, transfer);
+    });
+
+  const decodeInWorker = async (bitmap) => {
+    const id = ++frameIdRef.current;
+    const max = multiRef.current ? MAX_CODES_PER_FRAME : 1;
+    const msg = await callWorker(id, { type: 'frame', id, bitmap, max }, [bitmap]);
+    return msg?.hits || [];
+  };
+
+  const showOutline = (shapes) => {
+    const video = videoRef.current;
+    const canvas = overlayRef.current;
+    if (!video || !canvas || !shapes?.length) return;
+    drawOutline(canvas, shapes, video.videoWidth, video.videoHeight);
+    clearTimeout(outlineTimerRef.current);
+    outlineTimerRef.current = setTimeout(() => clearOverlay(canvas), OUTLINE_MS);
+  };
+
+  const addMultiHits = (hits) => {
+    setMultiHits((prev) => {
+      let changed = false;
+      const next = [...prev];
+      for (const h of hits) {
+        if (!h.text || next.some((x) => x.text === h.text)) continue;
+        next.push({ text: h.text, format: h.format, label: labelFor ? labelFor(h.text) : h.text });
+        changed = true;
+      }
+      return changed ? next : prev;
+    });
+  };
+
+  // Hits stay listed when the save fails so they can be accepted again.
+  const acceptMultiHits = () => {
+    if (!multiHits.length || !onMultiDetected) return;
+    const accepted = multiHits;
+    Promise.resolve()
+      .then(() => onMultiDetected(accepted.map(({ text, format }) => ({ text, format }))))
+      .then(() => setMultiHits((prev) => prev.filter((h) => !accepted.includes(h))))
+      .catch((e) => setStatus(`Saving scanned codes failed: ${e?.message || e}`));
+  };
+
+  useEffect(() => {
+    if (!multi) setMultiHits([]);
+  }, [multi]);
+
+  // Poll the ROI at the `fps` rate; skip ticks while a decode is still in flight.
+  // `capture()` yields { source, rect }; `decodeFrame(source)` resolves to a list of
+  // { text, format, points } (empty when nothing read).
+  const runFrameLoop = (decodeFrame, capture = grabRoi) => {
+    const interval = Math.max(30, Math.round(1000 / Math.max(1, fpsRef.current)));
+    const gen = loopGenRef.current;
+    const live = () => mounted.current && gen === loopGenRef.current;
+    let busy = false;
+    const tick = async () => {
+      if (!live()) return;
+      let frame = null;
+      try {
+        frame = busy ? null : await capture();
+      } catch {}
+      if (frame && live()) {
+        busy = true;
+        try {
+          const hits = ((await decodeFrame(frame.source)) || []).filter((h) => h?.text);
+          if (hits.length && live()) {
+            showOutline(hits.map((h) => offsetPoints(h.points, frame.rect)));
+            if (multiRef.current) addMultiHits(hits);
+            else emitDetected(hits[0].text, hits[0].format);
+          }
+        } catch {
+          // Transient frame errors; keep polling.
+        } finally {
+          busy = false;
+        }
+      } else {
+        try { frame?.source?.close?.(); } catch {}
+      }
+      if (live()) loopRef.current = setTimeout(tick, interval);
+    };
+    loopRef.current = setTimeout(tick, 0);
+  };
+
+  const startDecoding = async () => {
+    stopDecoding();
+    if (!videoRef.current) return;
+    const gen = loopGenRef.current;
+
+    // Preferred: decode in the worker so the App render tree keeps the main thread.
+    if (ensureWorker()) {
+      const ready = await callWorker('ready', { type: 'config', formats: formatsRef.current });
+      if (!mounted.current || gen !== loopGenRef.current) return;
+      if (ready) {
+        setDecoder(ready.engine === 'native' ? 'worker-native' : 'worker-zxing');
+        runFrameLoop(decodeInWorker, grabRoiBitmap);
+        return;
+      }
+      workerFailedRef.current = true;
+      disposeWorker();
+    }
+
+    const detector = await createNativeDetector(formatsRef.current);
+    if (!mounted.current || gen !== loopGenRef.current) return;
+    if (detector) {
+      setDecoder('native');
+      runFrameLoop(async (canvas) => {
+        const codes = (await detector.detect(canvas)) || [];
+        return codes
+          .filter((c) => c?.rawValue)
+          .map((c) => ({ text: c.rawValue, format: nativeFormatName(c.format), points: nativePoints(c) }));
+      });
+      return;
+    }
+
+    const reader = readerRef.current;
+    if (!reader) return;
+    setDecoder('zxing');
+    runFrameLoop((canvas) => decodeZxingAll(reader, canvas, multiRef.current ? MAX_CODES_PER_FRAME : 1));
+  };
+
+  const buildHints = (list = formatsRef.current) => {
     try {
       const hints = new Map();
-      hints.set(DecodeHintType.POSSIBLE_FORMATS, [BarcodeFormat.QR_CODE]);
+      hints.set(DecodeHintType.POSSIBLE_FORMATS, toZxingFormats(list));
       // If your codes are small/rough, enable TRY_HARDER (slower):
       // hints.set(DecodeHintType.TRY_HARDER, true);
       return hints;
@@ -61,18 +445,53 @@ export default function Scanner({ onDetected, onUserInteract, fps = 10 }) {
 
     return () => {
       mounted.current = false;
-      safeResetReader();
+      stopDecoding();
+      disposeWorker();
       stopStream();
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Formats can change per mode while the camera is running; swap hints in place
+  // and re-pick the decoder, since the native detector may not cover the new set.
+  useEffect(() => {
+    try {
+      const r = readerRef.current;
+      const hints = buildHints();
+      if (r && hints && typeof r.setHints === 'function') r.setHints(hints);
+    } catch {}
+    if (active) startDecoding().catch(() => {});
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [formatsKey]);
+
+  const refreshCameras = async () => {
+    const videos = await listCameras();
+    if (!mounted.current) return videos;
+    setCameras(videos);
+    // Saved ids can go stale; re-point the selection if the label still matches.
+    const saved = findSavedCamera(videos);
+    if (saved) setSelectedCameraId(saved.deviceId);
+    return videos;
+  };
+
+  useEffect(() => {
+    refreshCameras();
+    const md = navigator.mediaDevices;
+    if (!md?.addEventListener) return undefined;
+    const onChange = () => refreshCameras();
+    md.addEventListener('devicechange', onChange);
+    return () => md.removeEventListener('devicechange', onChange);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
   async function pickRearDeviceId() {
     try {
-      const devices = await navigator.mediaDevices.enumerateDevices();
-      const videos = devices.filter((d) => d.kind === 'videoinput');
+      const videos = await listCameras();
       if (videos.length === 0) return undefined;
 
+      const saved = findSavedCamera(videos);
+      if (saved) return saved.deviceId;
+
       const rear =
         videos.find((d) => /rear|back|environment/i.test(d.label)) ||
         videos.find((d) => d.label?.toLowerCase?.().includes('wide')) ||
@@ -84,7 +503,8 @@ export default function Scanner({ onDetected, onUserInteract, fps = 10 }) {
     }
   }
 
-  async function applyTrackEnhancements(track) {
+  // `restore` carries { zoom, torchOn, exposure } from the previous session when recovering.
+  async function applyTrackEnhancements(track, restore = null) {
     if (!track?.applyConstraints) return;
 
     const caps = track.getCapabilities?.() || {};
@@ -101,9 +521,14 @@ export default function Scanner({ onDetected, onUserInteract, fps = 10 }) {
     } catch {}
 
     // Torch
+    setTorchOn(false);
     if (typeof caps.torch === 'boolean') {
+      const torch = !!restore?.torchOn;
       setHasTorch(true);
-      try { await track.applyConstraints({ advanced: [{ torch: false }] }); } catch {}
+      try {
+        await track.applyConstraints({ advanced: [{ torch }] });
+        setTorchOn(torch);
+      } catch {}
     } else {
       setHasTorch(false);
     }
@@ -117,7 +542,8 @@ export default function Scanner({ onDetected, onUserInteract, fps = 10 }) {
       setZoomMin(min);
       setZoomMax(max);
 
-      const initialZoom = Math.min(max, Math.max(min, (settings.zoom || min) * 1.35));
+      const wanted = restore?.zoom ?? (settings.zoom || min) * 1.35;
+      const initialZoom = Math.min(max, Math.max(min, wanted));
       setZoom(initialZoom);
       try { await track.applyConstraints({ advanced: [{ zoom: initialZoom }] }); } catch {}
     } else {
@@ -132,22 +558,41 @@ export default function Scanner({ onDetected, onUserInteract, fps = 10 }) {
       setExpMin(min);
       setExpMax(max);
       setExpStep(step);
-      setExposure(settings.exposureCompensation ?? 0);
+      if (restore?.exposure != null) {
+        const val = Math.min(max, Math.max(min, restore.exposure));
+        setExposure(val);
+        try { await track.applyConstraints({ advanced: [{ exposureCompensation: val }] }); } catch {}
+      } else {
+        setExposure(settings.exposureCompensation ?? 0);
+        baseExposureRef.current = settings.exposureCompensation ?? 0;
+      }
     } else {
       setHasExposureComp(false);
     }
   }
 
-  const startScanner = async () => {
-    try { onUserInteract && onUserInteract(); } catch {}
+  // Opens (or re-opens, when switching lenses) the camera and starts decoding.
+  // With `restore`, this is a recovery: no alerts, previous settings and overrides are kept.
+  // Resolves true when the camera is running.
+  const openCamera = async (preferredId, restore = null) => {
+    if (!restore) {
+      try { onUserInteract && onUserInteract(); } catch {}
+    }
     if (!navigator.mediaDevices?.getUserMedia) {
       alert('Camera API not supported');
-      return;
+      return false;
     }
 
-    setStatus('Starting camera...');
+    if (!restore) setStatus('Starting camera...');
+    stopDecoding();
+    stopStream();
+    if (!restore) {
+      torchManualRef.current = false;
+      exposureManualRef.current = false;
+      setAutoNote('');
+    }
     try {
-      const deviceId = await pickRearDeviceId();
+      const deviceId = preferredId || (await pickRearDeviceId());
 
       const constraints = {
         video: {
@@ -156,17 +601,22 @@ export default function Scanner({ onDetected, onUserInteract, fps = 10 }) {
           width: { ideal: 1280 },
           height: { ideal: 720 },
           aspectRatio: { ideal: 16 / 9 },
-          frameRate: { ideal: Math.min(30, Math.max(10, fps * 2)) },
+          frameRate: { ideal: Math.min(30, Math.max(10, fpsRef.current * 2)) },
         },
         audio: false,
       };
 
       const stream = await navigator.mediaDevices.getUserMedia(constraints);
-      if (!mounted.current) return;
+      if (!mounted.current) return false;
       streamRef.current = stream;
 
       const track = stream.getVideoTracks?.()[0];
-      await applyTrackEnhancements(track);
+      const openedId = track?.getSettings?.().deviceId || deviceId || '';
+      setActiveDeviceId(openedId);
+      activeDeviceRef.current = openedId;
+      setCapsCache(saveCaps(openedId, track?.getCapabilities?.()));
+      watchTrack(track);
+      await applyTrackEnhancements(track, restore);
 
       if (videoRef.current) {
         videoRef.current.srcObject = stream;
@@ -175,40 +625,155 @@ export default function Scanner({ onDetected, onUserInteract, fps = 10 }) {
         await videoRef.current.play().catch(() => {});
       }
       setActive(true);
-      setStatus('Scanning...');
+      setStatus(restore ? `Scanning... (camera ${restore.reason}, restored)` : 'Scanning...');
 
-      const reader = readerRef.current;
-      if (!reader) return;
+      await startDecoding();
 
-      // Reliable continuous scan callback
-      await reader.decodeFromVideoDevice(null, videoRef.current, (result, err) => {
-        if (!mounted.current) return;
-        if (result) {
-          const text = result.getText ? result.getText() : result.text;
-          if (text && onDetected) onDetected(text);
-        }
-        // Errors are ignored; reader keeps listening.
-      });
+      // Labels are only exposed after permission is granted, so refresh the list now.
+      refreshCameras();
+      return true;
     } catch (err) {
       console.error('Camera access error:', err);
+      if (restore) return false;
       alert('Unable to access camera');
+      setActive(false);
       setStatus('Error starting camera');
+      return false;
+    }
+  };
+
+  // Stops everything and reopens the same camera; retries while another app still holds it.
+  const recoverCamera = async (reason, settings = trackSettingsRef.current) => {
+    if (recoveringRef.current || !mounted.current) return;
+    recoveringRef.current = true;
+    const restore = { ...settings, reason };
+    const deviceId = activeDeviceRef.current || selectedCameraId || undefined;
+    try {
+      for (let attempt = 1; attempt <= RECOVERY_ATTEMPTS; attempt++) {
+        setStatus(`Camera ${reason}, restarting${attempt > 1 ? ` (attempt ${attempt})` : ''}...`);
+        if (await openCamera(deviceId, restore)) return;
+        if (!mounted.current || !activeRef.current) return;
+        await new Promise((r) => setTimeout(r, RECOVERY_DELAY_MS));
+        if (!mounted.current || !activeRef.current) return;
+      }
+      stopDecoding();
+      stopStream();
+      setActive(false);
+      setDecoder('');
+      setStatus(`Camera ${reason} and could not be restarted. Tap Start Scanner to retry.`);
+    } finally {
+      recoveringRef.current = false;
+    }
+  };
+  recoverCameraRef.current = recoverCamera;
+
+  // Track handlers outlive the render that opened the camera; recover through the ref.
+  function watchTrack(track) {
+    if (!track) return;
+    track.onended = () => {
+      if (activeRef.current && !document.hidden) recoverCameraRef.current('stopped');
+    };
+    // Short mutes happen while the OS re-negotiates the sensor; only act if it stays muted.
+    track.onmute = () => {
+      clearTimeout(muteTimerRef.current);
+      muteTimerRef.current = setTimeout(() => {
+        if (track.muted && activeRef.current && !document.hidden) recoverCameraRef.current('muted');
+      }, MUTE_GRACE_MS);
+    };
+    track.onunmute = () => clearTimeout(muteTimerRef.current);
+  }
+
+  // Release the camera while the app is hidden and reopen it when the user comes back.
+  // The listener is added once and calls the latest handler through the ref.
+  const onVisibilityRef = useRef(null);
+  onVisibilityRef.current = () => {
+    if (document.hidden) {
+      if (!activeRef.current || recoveringRef.current) return;
+      suspendedRef.current = { ...trackSettingsRef.current };
+      stopDecoding();
+      stopStream();
+      setStatus('Paused while the app is in the background');
+      return;
+    }
+    const track = streamRef.current?.getVideoTracks?.()[0];
+    if (suspendedRef.current) {
+      const settings = suspendedRef.current;
+      suspendedRef.current = null;
+      if (activeRef.current) recoverCamera('paused in background', settings);
+    } else if (activeRef.current && (!track || track.readyState === 'ended')) {
+      recoverCamera('stopped');
+    }
+  };
+  useEffect(() => {
+    const onVisibility = () => onVisibilityRef.current();
+    document.addEventListener('visibilitychange', onVisibility);
+    return () => document.removeEventListener('visibilitychange', onVisibility);
+  }, []);
+
+  const startScanner = () => openCamera(selectedCameraId || undefined);
+
+  const onCameraChange = async (deviceId) => {
+    setSelectedCameraId(deviceId);
+    saveCameraChoice(cameras.find((d) => d.deviceId === deviceId) || null);
+    if (active) await openCamera(deviceId || undefined);
+  };
+
+  const onProbeCameras = async () => {
+    if (active || probing) return;
+    setProbing(true);
+    setStatus('Checking cameras...');
+    try {
+      const cache = await probeCameras(await refreshCameras());
+      if (mounted.current) setCapsCache(cache);
+      setStatus('Camera list updated');
+    } finally {
+      if (mounted.current) setProbing(false);
     }
   };
 
   const stopScanner = () => {
+    suspendedRef.current = null;
+    activeRef.current = false;
     setActive(false);
     setStatus('Stopped');
-    safeResetReader();
+    setDecoder('');
+    stopDecoding();
     stopStream();
   };
 
-  // Torch toggle
-  const toggleTorch = async () => {
+  const onPhotoSelected = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file || photoBusy) return;
+
+    setPhotoBusy(true);
+    setStatus('Decoding photo...');
+    try {
+      const hit = await decodeImageFile(file, {
+        formats: activeFormats,
+        onProgress: (n) => setStatus(`Decoding photo... (attempt ${n})`),
+      });
+      if (!mounted.current) return;
+      if (hit) {
+        setStatus(`Photo decoded (${formatLabel(hit.format)})`);
+        emitDetected(hit.text, hit.format);
+      } else {
+        setStatus('No code found in photo');
+        if (onPhotoFailed) onPhotoFailed();
+      }
+    } catch (err) {
+      console.error('Photo decode error:', err);
+      setStatus('Could not read photo');
+      if (onPhotoFailed) onPhotoFailed();
+    } finally {
+      if (mounted.current) setPhotoBusy(false);
+    }
+  };
+
+  const applyTorch = async (next) => {
     try {
       const track = streamRef.current?.getVideoTracks?.()[0];
       if (!track || !track.applyConstraints) return;
-      const next = !torchOn;
       await track.applyConstraints({ advanced: [{ torch: next }] });
       setTorchOn(next);
     } catch (e) {
@@ -216,6 +781,65 @@ export default function Scanner({ onDetected, onUserInteract, fps = 10 }) {
     }
   };
 
+  const applyExposure = async (val) => {
+    setExposure(val);
+    try {
+      const track = streamRef.current?.getVideoTracks?.()[0];
+      if (!track?.applyConstraints) return;
+      await track.applyConstraints({ advanced: [{ exposureCompensation: val }] });
+    } catch (e) {
+      console.warn('Exposure compensation not supported:', e?.message);
+    }
+  };
+
+  // Torch toggle (manual: auto light stops touching the torch until the next start)
+  const toggleTorch = async () => {
+    torchManualRef.current = true;
+    if (autoLight) setAutoNote('torch set manually');
+    await applyTorch(!torchOn);
+  };
+
+  const toggleAutoLight = () => {
+    const next = !autoLight;
+    setAutoLight(next);
+    localStorage.setItem('rail-auto-light', next ? '1' : '0');
+    torchManualRef.current = false;
+    exposureManualRef.current = false;
+    setAutoNote('');
+  };
+
+  useEffect(() => {
+    if (!active || !autoLight) return undefined;
+    let busy = false;
+    const timer = setInterval(async () => {
+      if (busy || !mounted.current) return;
+      busy = true;
+      try {
+        if (!lightCanvasRef.current) lightCanvasRef.current = document.createElement('canvas');
+        const video = videoRef.current;
+        const rect = video?.videoWidth ? roiRect(video.videoWidth, video.videoHeight, multiRef.current ? FULL_FRAME : ROI) : null;
+        const sample = measureLight(video, lightCanvasRef.current, rect);
+        const action = decideLight(sample, {
+          ...lightStateRef.current,
+          torchManual: torchManualRef.current,
+          exposureManual: exposureManualRef.current,
+          baseExposure: baseExposureRef.current,
+          lastChangeAt: lightChangedAtRef.current,
+        });
+        if (!action) return;
+        lightChangedAtRef.current = Date.now();
+        if (action.torch !== undefined) await applyTorch(action.torch);
+        if (action.exposure !== undefined) await applyExposure(action.exposure);
+        if (mounted.current) setAutoNote(action.reason);
+      } catch {
+      } finally {
+        busy = false;
+      }
+    }, LIGHT_SAMPLE_MS);
+    return () => clearInterval(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [active, autoLight]);
+
   // Zoom change
   const onZoomChange = async (v) => {
     const val = parseFloat(v);
@@ -231,15 +855,9 @@ export default function Scanner({ onDetected, onUserInteract, fps = 10 }) {
 
   // Exposure compensation change
   const onExposureChange = async (v) => {
-    const val = parseFloat(v);
-    setExposure(val);
-    try {
-      const track = streamRef.current?.getVideoTracks?.()[0];
-      if (!track?.applyConstraints) return;
-      await track.applyConstraints({ advanced: [{ exposureCompensation: val }] });
-    } catch (e) {
-      console.warn('Exposure compensation not supported:', e?.message);
-    }
+    exposureManualRef.current = true;
+    if (autoLight) setAutoNote('exposure set manually');
+    await applyExposure(parseFloat(v));
   };
 
   // Tap to re-apply continuous focus
@@ -253,16 +871,106 @@ export default function Scanner({ onDetected, onUserInteract, fps = 10 }) {
 
   return (
     <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
-      <div className="status" style={{ fontSize: 12, opacity: 0.8 }}>{status}</div>
+      <div className="status" style={{ fontSize: 12, opacity: 0.8 }}>
+        {status}
+        {active && decoder ? ` • ${DECODER_LABELS[decoder]}` : ''}
+      </div>
+
+      <div style={{ position: 'relative', borderRadius: 8, overflow: 'hidden', background: '#000' }}>
+        <video
+          ref={videoRef}
+          style={{ width: '100%', display: 'block', background: '#000' }}
+          muted
+          playsInline
+          autoPlay
+          onClick={onVideoClick}
+        />
+        <canvas
+          ref={overlayRef}
+          style={{ position: 'absolute', inset: 0, width: '100%', height: '100%', pointerEvents: 'none' }}
+        />
+        {active && !multi && (
+          <div
+            aria-hidden="true"
+            style={{
+              position: 'absolute',
+              left: `${ROI.x * 100}%`,
+              top: `${ROI.y * 100}%`,
+              width: `${ROI.w * 100}%`,
+              height: `${ROI.h * 100}%`,
+              border: '2px solid rgba(255,255,255,.85)',
+              borderRadius: 8,
+              boxShadow: '0 0 0 9999px rgba(2,6,23,.35)',
+              pointerEvents: 'none',
+            }}
+          />
+        )}
+      </div>
 
-      <video
-        ref={videoRef}
-        style={{ width: '100%', borderRadius: 8, background: '#000' }}
-        muted
-        playsInline
-        autoPlay
-        onClick={onVideoClick}
-      />
+      {multi && (
+        <div className="notice">
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8, flexWrap: 'wrap' }}>
+            <strong>Detected codes ({multiHits.length})</strong>
+            <div style={{ display: 'flex', gap: 8 }}>
+              <button className="btn" onClick={acceptMultiHits} disabled={!multiHits.length}>
+                Accept all ({multiHits.length})
+              </button>
+              <button className="btn btn-outline" onClick={() => setMultiHits([])} disabled={!multiHits.length}>
+                Clear
+              </button>
+            </div>
+          </div>
+          {multiHits.length === 0 ? (
+            <div className="meta" style={{ marginTop: 6 }}>Point the camera at the stacked tags; codes are collected here.</div>
+          ) : (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 4, marginTop: 6 }}>
+              {multiHits.map((h) => (
+                <div key={h.text} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8 }}>
+                  <span className="meta">
+                    <strong>{h.label}</strong> • {formatLabel(h.format)}
+                  </span>
+                  <button
+                    className="btn btn-outline"
+                    style={{ padding: '2px 8px' }}
+                    onClick={() => setMultiHits((prev) => prev.filter((x) => x.text !== h.text))}
+                    aria-label={`Remove ${h.label}`}
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {cameras.length > 0 && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+          <label className="status" style={{ minWidth: 44 }}>Camera</label>
+          <select
+            className="input"
+            style={{ flex: 1, minWidth: 180, width: 'auto' }}
+            value={selectedCameraId}
+            onChange={(e) => onCameraChange(e.target.value)}
+          >
+            <option value="">Auto (rear camera)</option>
+            {cameras.map((d, i) => (
+              <option key={d.deviceId || i} value={d.deviceId}>
+                {describeCamera(d, capsCache[d.deviceId], i)}
+                {active && d.deviceId === activeDeviceId ? ' (in use)' : ''}
+              </option>
+            ))}
+          </select>
+          <button
+            className="btn btn-outline"
+            onClick={onProbeCameras}
+            disabled={active || probing}
+            title={active ? 'Stop the scanner to check other lenses' : 'Read resolution and zoom of each camera'}
+          >
+            {probing ? 'Checking…' : 'Check lenses'}
+          </button>
+        </div>
+      )}
 
       {/* Camera controls (only if supported) */}
       <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8, alignItems: 'center' }}>
@@ -272,6 +980,18 @@ export default function Scanner({ onDetected, onUserInteract, fps = 10 }) {
           </button>
         )}
 
+        {(hasTorch || hasExposureComp) && (
+          <button
+            className={`btn ${autoLight ? '' : 'btn-outline'}`}
+            onClick={toggleAutoLight}
+            aria-pressed={autoLight}
+            title="Switch the torch on in the dark and lower exposure on glare"
+          >
+            {autoLight ? 'Auto Light: ON' : 'Auto Light: OFF'}
+          </button>
+        )}
+        {autoLight && autoNote && <span className="status">Auto: {autoNote}</span>}
+
         {hasZoom && (
           <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
             <label className="status" style={{ minWidth: 44 }}>Zoom</label>
@@ -303,7 +1023,7 @@ export default function Scanner({ onDetected, onUserInteract, fps = 10 }) {
         )}
       </div>
 
-      <div style={{ display: 'flex', gap: 8 }}>
+      <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
         {!active ? (
           <button
             className="btn"
@@ -316,10 +1036,42 @@ export default function Scanner({ onDetected, onUserInteract, fps = 10 }) {
         ) : (
           <button className="btn btn-outline" onClick={stopScanner}>Stop Scanner</button>
         )}
+
+        <button
+          className="btn btn-outline"
+          onClick={() => fileInputRef.current?.click()}
+          onPointerDown={onUserInteract}
+          disabled={photoBusy}
+        >
+          {photoBusy ? 'Decoding…' : 'Decode from photo'}
+        </button>
+        <button
+          className="btn btn-outline"
+          onClick={() => captureInputRef.current?.click()}
+          onPointerDown={onUserInteract}
+          disabled={photoBusy}
+          title="Open the camera app, then decode the shot"
+        >
+          Take photo
+        </button>
+
+        <input ref={fileInputRef} type="file" accept="image/*" hidden onChange={onPhotoSelected} />
+        <input
+          ref={captureInputRef}
+          type="file"
+          accept="image/*"
+          capture="environment"
+          hidden
+          onChange={onPhotoSelected}
+        />
+      </div>
+
+      <div className="status" style={{ fontSize: 11, opacity: 0.7 }}>
+        Reading: {activeFormats.map(formatLabel).join(', ')}
       </div>
 
       <div className="status" style={{ fontSize: 11, opacity: 0.7 }}>
-        Tips: good light (use Torch), move closer, and use a bit of Zoom for distance reads.
+        Tips: keep the tag inside the box, good light (use Torch), and use a bit of Zoom for distance reads.
       </div>
     </div>
   );
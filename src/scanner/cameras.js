@@ -0,0 +1,98 @@
+// src/scanner/cameras.js
+const CHOICE_KEY = 'rail-camera-choice';
+const CAPS_KEY = 'rail-camera-caps';
+
+export async function listCameras() {
+  try {
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter((d) => d.kind === 'videoinput');
+  } catch {
+    return [];
+  }
+}
+
+// The saved choice keeps the label too: some browsers rotate deviceIds between sessions.
+export function loadCameraChoice() {
+  try {
+    return JSON.parse(localStorage.getItem(CHOICE_KEY) || 'null');
+  } catch {
+    return null;
+  }
+}
+
+export function saveCameraChoice(device) {
+  try {
+    if (!device) localStorage.removeItem(CHOICE_KEY);
+    else localStorage.setItem(CHOICE_KEY, JSON.stringify({ deviceId: device.deviceId, label: device.label || '' }));
+  } catch {}
+}
+
+export function findSavedCamera(videos, choice = loadCameraChoice()) {
+  if (!choice) return undefined;
+  return (
+    videos.find((d) => d.deviceId && d.deviceId === choice.deviceId) ||
+    (choice.label ? videos.find((d) => d.label === choice.label) : undefined)
+  );
+}
+
+// Capabilities are only readable from an open track, so they are cached per deviceId.
+export function loadCapsCache() {
+  try {
+    return JSON.parse(localStorage.getItem(CAPS_KEY) || '{}') || {};
+  } catch {
+    return {};
+  }
+}
+
+export function summarizeCaps(caps) {
+  if (!caps) return null;
+  const num = (v) => (typeof v === 'number' ? v : undefined);
+  return {
+    width: num(caps.width?.max),
+    height: num(caps.height?.max),
+    zoomMin: num(caps.zoom?.min),
+    zoomMax: num(caps.zoom?.max),
+    torch: caps.torch === true || (Array.isArray(caps.torch) && caps.torch.includes(true)),
+  };
+}
+
+export function saveCaps(deviceId, caps) {
+  if (!deviceId || !caps) return loadCapsCache();
+  const cache = loadCapsCache();
+  cache[deviceId] = summarizeCaps(caps);
+  try {
+    localStorage.setItem(CAPS_KEY, JSON.stringify(cache));
+  } catch {}
+  return cache;
+}
+
+export function describeCamera(device, summary, index = 0) {
+  const name = device.label || `Camera ${index + 1}`;
+  if (!summary) return name;
+  const parts = [];
+  if (summary.width && summary.height) parts.push(`${summary.width}×${summary.height}`);
+  if (summary.zoomMax && summary.zoomMax > (summary.zoomMin || 1)) {
+    parts.push(`zoom ${summary.zoomMin ?? 1}–${summary.zoomMax}×`);
+  }
+  if (summary.torch) parts.push('torch');
+  return parts.length ? `${name} — ${parts.join(', ')}` : name;
+}
+
+// Opens each camera briefly to read its capabilities. Must not run while the scanner holds a camera:
+// many phones cannot open two streams at once.
+export async function probeCameras(videos) {
+  let cache = loadCapsCache();
+  for (const d of videos) {
+    let stream = null;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ video: { deviceId: { exact: d.deviceId } }, audio: false });
+      const track = stream.getVideoTracks?.()[0];
+      cache = saveCaps(d.deviceId, track?.getCapabilities?.());
+    } catch {
+      // Busy or blocked lens; leave it without capability info.
+    } finally {
+      try { stream?.getTracks().forEach((t) => t.stop()); } catch {}
+    }
+  }
+  return cache;
+}
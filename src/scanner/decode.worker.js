@@ -0,0 +1,89 @@
+// src/scanner/decode.worker.js
+// Decodes ROI frames off the main thread. Protocol:
+//   in:  { type: 'config', formats }            -> out: { type: 'ready', engine: 'native' | 'zxing' }
+//   in:  { type: 'frame', id, bitmap, max }     -> out: { type: 'result', id, hits: [{ text, format, points }] }
+import { BinaryBitmap, DecodeHintType, HybridBinarizer, MultiFormatReader, RGBLuminanceSource } from '@zxing/library';
+import { createNativeDetector, nativeFormatName, toZxingFormats, zxingFormatName } from './formats.js';
+import { maskPoints, nativePoints, zxingPoints } from './overlay.js';
+
+let detector = null;
+let reader = null;
+let canvas = null;
+let ctx = null;
+
+async function configure(formats) {
+  detector = await createNativeDetector(formats);
+  const hints = new Map();
+  hints.set(DecodeHintType.POSSIBLE_FORMATS, toZxingFormats(formats));
+  reader = new MultiFormatReader();
+  reader.setHints(hints);
+  return detector ? 'native' : 'zxing';
+}
+
+function drawBitmap(bitmap) {
+  if (!canvas || canvas.width !== bitmap.width || canvas.height !== bitmap.height) {
+    canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    ctx = canvas.getContext('2d', { willReadFrequently: true });
+  }
+  ctx.drawImage(bitmap, 0, 0);
+}
+
+function luminanceOf() {
+  const { data, width, height } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const gray = new Uint8ClampedArray(width * height);
+  for (let i = 0, j = 0; j < gray.length; i += 4, j++) {
+    gray[j] = (data[i] * 299 + data[i + 1] * 587 + data[i + 2] * 114) / 1000;
+  }
+  return new RGBLuminanceSource(gray, width, height);
+}
+
+// Same mask-and-retry approach as the main-thread reader: one code per pass.
+function decodeZxing(max) {
+  const hits = [];
+  for (let i = 0; i < max; i++) {
+    let result;
+    try {
+      result = reader.decodeWithState(new BinaryBitmap(new HybridBinarizer(luminanceOf())));
+    } catch {
+      break; // NotFound / Checksum / Format
+    }
+    const text = result.getText();
+    if (!text || hits.some((h) => h.text === text)) break;
+    const points = zxingPoints(result);
+    hits.push({ text, format: zxingFormatName(result), points });
+    if (i + 1 >= max || !maskPoints(ctx, points)) break;
+  }
+  return hits;
+}
+
+async function decodeFrame(bitmap, max) {
+  if (detector) {
+    const codes = (await detector.detect(bitmap)) || [];
+    return codes
+      .filter((c) => c?.rawValue)
+      .slice(0, max)
+      .map((c) => ({ text: c.rawValue, format: nativeFormatName(c.format), points: nativePoints(c) }));
+  }
+  drawBitmap(bitmap);
+  return decodeZxing(max);
+}
+
+self.onmessage = async (e) => {
+  const msg = e.data || {};
+  if (msg.type === 'config') {
+    const engine = await configure(msg.formats);
+    self.postMessage({ type: 'ready', engine });
+    return;
+  }
+  if (msg.type === 'frame') {
+    let hits = [];
+    try {
+      if (reader) hits = await decodeFrame(msg.bitmap, Math.max(1, msg.max || 1));
+    } catch {
+      // Transient frame errors; the page keeps sending frames.
+    } finally {
+      try { msg.bitmap?.close?.(); } catch {}
+    }
+    self.postMessage({ type: 'result', id: msg.id, hits });
+  }
+};
@@ -0,0 +1,166 @@
+// src/scanner/decodeImage.js
+import { BrowserMultiFormatReader } from '@zxing/browser';
+import { DecodeHintType } from '@zxing/library';
+import { nativeFormatName, toNativeFormats, toZxingFormats, zxingFormatName } from './formats.js';
+
+// Phone photos are often 12MP+; decoding is much faster (and no less reliable) scaled down.
+const MAX_SIDE = 1600;
+
+// Crops are fractions of the image, centred first since clerks usually aim at the tag.
+const CROPS = [
+  { x: 0, y: 0, w: 1, h: 1 },
+  { x: 0.15, y: 0.15, w: 0.7, h: 0.7 },
+  { x: 0.25, y: 0.25, w: 0.5, h: 0.5 },
+  { x: 0, y: 0, w: 0.6, h: 0.6 },
+  { x: 0.4, y: 0, w: 0.6, h: 0.6 },
+  { x: 0, y: 0.4, w: 0.6, h: 0.6 },
+  { x: 0.4, y: 0.4, w: 0.6, h: 0.6 },
+];
+
+const ROTATIONS = [0, 90, 180, 270];
+
+const CONTRASTS = ['none', 'stretch', 'threshold'];
+
+async function loadImage(file) {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch {}
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.decoding = 'async';
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+function makeCanvas(w, h) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(w));
+  canvas.height = Math.max(1, Math.round(h));
+  return canvas;
+}
+
+function renderVariant(source, crop, rotation) {
+  const srcW = source.width;
+  const srcH = source.height;
+  const sx = crop.x * srcW;
+  const sy = crop.y * srcH;
+  const sw = crop.w * srcW;
+  const sh = crop.h * srcH;
+  const scale = Math.min(1, MAX_SIDE / Math.max(sw, sh));
+  const dw = sw * scale;
+  const dh = sh * scale;
+
+  const quarter = rotation === 90 || rotation === 270;
+  const canvas = makeCanvas(quarter ? dh : dw, quarter ? dw : dh);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate((rotation * Math.PI) / 180);
+  ctx.drawImage(source, sx, sy, sw, sh, -dw / 2, -dh / 2, dw, dh);
+  return canvas;
+}
+
+// Grayscale + either a min/max stretch or a hard threshold at the mean,
+// which rescues faded or rust-stained tags.
+function applyContrast(canvas, kind) {
+  if (kind === 'none') return canvas;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const img = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const d = img.data;
+
+  let min = 255;
+  let max = 0;
+  let sum = 0;
+  for (let i = 0; i < d.length; i += 4) {
+    const y = (d[i] * 299 + d[i + 1] * 587 + d[i + 2] * 114) / 1000;
+    d[i] = y;
+    if (y < min) min = y;
+    if (y > max) max = y;
+    sum += y;
+  }
+  const mean = sum / (d.length / 4);
+  const range = Math.max(1, max - min);
+
+  for (let i = 0; i < d.length; i += 4) {
+    const y = d[i];
+    const v = kind === 'threshold' ? (y < mean ? 0 : 255) : ((y - min) * 255) / range;
+    d[i] = v;
+    d[i + 1] = v;
+    d[i + 2] = v;
+  }
+  ctx.putImageData(img, 0, 0);
+  return canvas;
+}
+
+function createPhotoReader(formats) {
+  const hints = new Map();
+  hints.set(DecodeHintType.POSSIBLE_FORMATS, toZxingFormats(formats));
+  hints.set(DecodeHintType.TRY_HARDER, true);
+  return new BrowserMultiFormatReader(hints);
+}
+
+async function createDetector(formats) {
+  try {
+    if (!('BarcodeDetector' in window)) return null;
+    const supported = (await window.BarcodeDetector.getSupportedFormats?.()) || [];
+    const wanted = toNativeFormats(formats).filter((f) => supported.includes(f));
+    return wanted.length ? new window.BarcodeDetector({ formats: wanted }) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode a still photo by trying crops × rotations × contrast boosts until one reads.
+ * Resolves to `{ text, format, attempts }`, or `null` if nothing decoded.
+ */
+export async function decodeImageFile(file, { formats, onProgress } = {}) {
+  const source = await loadImage(file);
+  const reader = createPhotoReader(formats);
+  const detector = await createDetector(formats);
+
+  let attempts = 0;
+  try {
+    for (const contrast of CONTRASTS) {
+      for (const crop of CROPS) {
+        for (const rotation of ROTATIONS) {
+          // Rotations mostly help 1D codes shot sideways; only try them on the full frame.
+          if (rotation && crop !== CROPS[0]) continue;
+          attempts += 1;
+          if (onProgress) onProgress(attempts);
+
+          const canvas = applyContrast(renderVariant(source, crop, rotation), contrast);
+
+          if (detector) {
+            try {
+              const codes = await detector.detect(canvas);
+              if (codes?.[0]?.rawValue) {
+                return { text: codes[0].rawValue, format: nativeFormatName(codes[0].format), attempts };
+              }
+            } catch {}
+          }
+
+          try {
+            const result = reader.decodeFromCanvas(canvas);
+            const text = result?.getText ? result.getText() : result?.text;
+            if (text) return { text, format: zxingFormatName(result), attempts };
+          } catch {
+            // NotFound / Checksum / Format: try the next variant.
+          }
+
+          // Yield to the UI between attempts so the status line keeps updating.
+          await new Promise((r) => setTimeout(r, 0));
+        }
+      }
+    }
+  } finally {
+    try { source.close?.(); } catch {}
+  }
+  return null;
+}
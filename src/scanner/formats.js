@@ -0,0 +1,67 @@
+// src/scanner/formats.js
+import { BarcodeFormat } from '@zxing/library';
+
+// Formats the yard actually sees: rail tags (QR / DataMatrix / Code 128)
+// and 1D wagon barcodes. Ids follow ZXing's BarcodeFormat keys; `native`
+// is the matching name in the browser BarcodeDetector API.
+export const SCAN_FORMATS = [
+  { id: 'QR_CODE', label: 'QR', linear: false, native: 'qr_code' },
+  { id: 'DATA_MATRIX', label: 'DataMatrix', linear: false, native: 'data_matrix' },
+  { id: 'CODE_128', label: 'Code 128', linear: true, native: 'code_128' },
+  { id: 'CODE_39', label: 'Code 39', linear: true, native: 'code_39' },
+  { id: 'ITF', label: 'ITF', linear: true, native: 'itf' },
+  { id: 'EAN_13', label: 'EAN-13', linear: true, native: 'ean_13' },
+];
+
+export const DEFAULT_FORMATS = ['QR_CODE'];
+
+export const formatLabel = (id) => SCAN_FORMATS.find((f) => f.id === id)?.label || id || 'Unknown';
+
+export const isLinearFormat = (id) => !!SCAN_FORMATS.find((f) => f.id === id)?.linear;
+
+// Keep only known ids, fall back to QR so the scanner is never configured empty.
+export function normalizeFormats(list) {
+  const known = (Array.isArray(list) ? list : []).filter((id) => SCAN_FORMATS.some((f) => f.id === id));
+  return known.length ? Array.from(new Set(known)) : [...DEFAULT_FORMATS];
+}
+
+export function toZxingFormats(list) {
+  return normalizeFormats(list)
+    .map((id) => BarcodeFormat[id])
+    .filter((v) => typeof v === 'number');
+}
+
+// ZXing results carry the enum number; turn it back into our string id.
+export function zxingFormatName(result) {
+  try {
+    const f = result?.getBarcodeFormat ? result.getBarcodeFormat() : result?.format;
+    if (typeof f === 'number') return BarcodeFormat[f] || '';
+    return typeof f === 'string' ? f : '';
+  } catch {
+    return '';
+  }
+}
+
+export function toNativeFormats(list) {
+  return normalizeFormats(list)
+    .map((id) => SCAN_FORMATS.find((f) => f.id === id)?.native)
+    .filter(Boolean);
+}
+
+export const nativeFormatName = (native) => SCAN_FORMATS.find((f) => f.native === native)?.id || '';
+
+// BarcodeDetector is only used when it can read every requested format;
+// otherwise ZXing handles the whole set so nothing is silently skipped.
+// Works on the page and inside the decode worker (both expose it on globalThis).
+export async function createNativeDetector(list) {
+  try {
+    const Detector = globalThis.BarcodeDetector;
+    if (!Detector) return null;
+    const supported = (await Detector.getSupportedFormats?.()) || [];
+    const wanted = toNativeFormats(list);
+    if (!wanted.length || !wanted.every((f) => supported.includes(f))) return null;
+    return new Detector({ formats: wanted });
+  } catch {
+    return null;
+  }
+}
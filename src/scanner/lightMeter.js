@@ -0,0 +1,71 @@
+// src/scanner/lightMeter.js
+
+// How often the frame is sampled; cheap (a 64×36 thumbnail) but no need to do it per frame.
+export const LIGHT_SAMPLE_MS = 1500;
+
+// Mean luma (0–255) below which tags stop decoding on typical phone sensors.
+const DARK_LUMA = 50;
+// Share of near-white pixels that means a glossy label is blowing out.
+const GLARE_SHARE = 0.12;
+const GLARE_CLEAR_SHARE = 0.03;
+const SATURATED_LUMA = 245;
+// Minimum time between automatic changes, so the torch doesn't flicker on/off around the thresholds.
+export const LIGHT_DWELL_MS = 4000;
+
+const SAMPLE_W = 64;
+const SAMPLE_H = 36;
+
+// `rect` is the decode region in video pixels; the light there is what matters, not the frame's.
+export function measureLight(video, canvas, rect) {
+  if (!video || video.readyState < 2 || !video.videoWidth || !canvas) return null;
+  canvas.width = SAMPLE_W;
+  canvas.height = SAMPLE_H;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  if (!ctx) return null;
+  const { x, y, w, h } = rect || { x: 0, y: 0, w: video.videoWidth, h: video.videoHeight };
+  ctx.drawImage(video, x, y, w, h, 0, 0, SAMPLE_W, SAMPLE_H);
+  const { data } = ctx.getImageData(0, 0, SAMPLE_W, SAMPLE_H);
+
+  let sum = 0;
+  let saturated = 0;
+  const n = data.length / 4;
+  for (let i = 0; i < data.length; i += 4) {
+    const y = (data[i] * 299 + data[i + 1] * 587 + data[i + 2] * 114) / 1000;
+    sum += y;
+    if (y >= SATURATED_LUMA) saturated += 1;
+  }
+  return { mean: sum / n, saturatedShare: saturated / n };
+}
+
+/**
+ * Decides what the automatic light control should change for one sample.
+ * `state` holds the current camera settings, which controls the user has taken over and
+ * `lastChangeAt` (ms) of the previous automatic change; nothing changes within LIGHT_DWELL_MS of it.
+ * Returns `{ torch?: boolean, exposure?: number, reason }`, or null when nothing should change.
+ */
+export function decideLight(sample, state, now = Date.now()) {
+  if (!sample) return null;
+  const { hasTorch, torchOn, torchManual, hasExposureComp, exposure, expMin, expStep, baseExposure, exposureManual, lastChangeAt } = state;
+  if (lastChangeAt && now - lastChangeAt < LIGHT_DWELL_MS) return null;
+  const step = expStep || 1;
+
+  if (hasTorch && !torchManual && !torchOn && sample.mean < DARK_LUMA) {
+    return { torch: true, reason: 'torch on (low light)' };
+  }
+
+  if (hasExposureComp && !exposureManual) {
+    if (sample.saturatedShare > GLARE_SHARE && exposure - step >= expMin) {
+      return { exposure: exposure - step, reason: `exposure ${exposure - step} (glare)` };
+    }
+    if (sample.saturatedShare < GLARE_CLEAR_SHARE && exposure < baseExposure) {
+      return { exposure: Math.min(baseExposure, exposure + step), reason: 'exposure restored' };
+    }
+  }
+
+  // Torch left on while the label is still blown out and exposure can't go lower: switch it off.
+  if (hasTorch && !torchManual && torchOn && sample.saturatedShare > GLARE_SHARE && (!hasExposureComp || exposure - step < expMin)) {
+    return { torch: false, reason: 'torch off (glare)' };
+  }
+
+  return null;
+}
@@ -0,0 +1,125 @@
+// src/scanner/ocr.js
+// Offline OCR for hot-stamped serials. Engine, worker and English model are served from our
+// own /assets (the service worker caches them), never from a CDN.
+import workerUrl from 'tesseract.js/dist/worker.min.js?url';
+import coreUrl from 'tesseract.js-core/tesseract-core-lstm.wasm.js?url';
+import langUrl from '@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz?url';
+
+// Tesseract fetches `${langPath}/eng.traineddata.gz`, so it needs the folder, not the file.
+const LANG_PATH = new URL('.', new URL(langUrl, window.location.href)).href.replace(/\/$/, '');
+
+// Stamped serials are upper-case letters and digits; anything else is noise.
+const WHITELIST = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const MIN_SERIAL_LENGTH = 6;
+const MAX_CANDIDATES = 5;
+
+let workerPromise = null;
+let progressListener = null;
+
+export function loadOcrEngine(onProgress) {
+  progressListener = onProgress || null;
+  if (!workerPromise) {
+    workerPromise = (async () => {
+      const { createWorker, OEM, PSM } = await import('tesseract.js');
+      const worker = await createWorker('eng', OEM.LSTM_ONLY, {
+        workerPath: workerUrl,
+        corePath: coreUrl,
+        langPath: LANG_PATH,
+        workerBlobURL: false,
+        logger: (m) => {
+          if (progressListener && m?.status) progressListener(m.status, m.progress || 0);
+        },
+      });
+      await worker.setParameters({
+        tessedit_char_whitelist: WHITELIST,
+        tessedit_pageseg_mode: PSM.SPARSE_TEXT,
+      });
+      return worker;
+    })().catch((err) => {
+      workerPromise = null;
+      throw err;
+    });
+  }
+  return workerPromise;
+}
+
+export async function terminateOcr() {
+  const pending = workerPromise;
+  workerPromise = null;
+  if (!pending) return;
+  try {
+    const worker = await pending;
+    await worker.terminate();
+  } catch {}
+}
+
+// Fetch the engine files once while online so the service worker has them for offline use.
+export function warmOcrAssets() {
+  if (!navigator.onLine) return;
+  for (const url of [workerUrl, coreUrl, langUrl]) {
+    fetch(url).catch(() => {});
+  }
+}
+
+// Grey, contrast-stretched copy of the strip: stamped steel is low-contrast and often rusty.
+function prepareStrip(source) {
+  const w = source.width;
+  const h = source.height;
+  const canvas = document.createElement('canvas');
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0);
+  const img = ctx.getImageData(0, 0, w, h);
+  const d = img.data;
+  let lo = 255;
+  let hi = 0;
+  for (let i = 0; i < d.length; i += 4) {
+    const y = (d[i] * 299 + d[i + 1] * 587 + d[i + 2] * 114) / 1000;
+    d[i] = y;
+    if (y < lo) lo = y;
+    if (y > hi) hi = y;
+  }
+  const range = Math.max(1, hi - lo);
+  for (let i = 0; i < d.length; i += 4) {
+    const v = ((d[i] - lo) * 255) / range;
+    d[i] = d[i + 1] = d[i + 2] = v;
+  }
+  ctx.putImageData(img, 0, 0);
+  return canvas;
+}
+
+// Stamps are often spaced out ("AB12 3456 78"), so each line is tried both as tokens and joined.
+export function extractSerialCandidates(lines) {
+  const seen = new Map();
+  const add = (text, confidence) => {
+    const t = String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (t.length < MIN_SERIAL_LENGTH || !/\d/.test(t)) return;
+    const prev = seen.get(t);
+    if (!prev || prev.confidence < confidence) seen.set(t, { text: t, confidence });
+  };
+  for (const line of lines || []) {
+    const conf = Math.round(line.confidence || 0);
+    const tokens = String(line.text || '').split(/\s+/).filter(Boolean);
+    tokens.forEach((t) => add(t, conf));
+    if (tokens.length > 1) add(tokens.join(''), conf);
+  }
+  // Same preference as parseQrPayload: long serials first, then confidence.
+  const rank = (c) => (c.text.length >= 12 ? 2 : c.text.length >= 8 ? 1 : 0);
+  return [...seen.values()]
+    .sort((a, b) => rank(b) - rank(a) || b.confidence - a.confidence)
+    .slice(0, MAX_CANDIDATES);
+}
+
+export async function recognizeSerial(source, onProgress) {
+  const worker = await loadOcrEngine(onProgress);
+  const { data } = await worker.recognize(prepareStrip(source), {}, { text: true, blocks: true });
+  const lines = [];
+  for (const block of data?.blocks || []) {
+    for (const para of block.paragraphs || []) lines.push(...(para.lines || []));
+  }
+  if (!lines.length && data?.text) {
+    data.text.split('\n').forEach((text) => lines.push({ text, confidence: data.confidence }));
+  }
+  return extractSerialCandidates(lines);
+}
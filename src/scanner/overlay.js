@@ -0,0 +1,90 @@
+// src/scanner/overlay.js
+
+// Region of interest as fractions of the video frame. Only this part is decoded,
+// which is faster and keeps neighbouring rail tags out of the read.
+export const ROI = { x: 0.2, y: 0.15, w: 0.6, h: 0.7 };
+
+// Multi-code mode reads stacked tags across the whole frame.
+export const FULL_FRAME = { x: 0, y: 0, w: 1, h: 1 };
+
+// How long a detected outline stays on screen.
+export const OUTLINE_MS = 700;
+
+export function roiRect(width, height, roi = ROI) {
+  return {
+    x: Math.round(width * roi.x),
+    y: Math.round(height * roi.y),
+    w: Math.max(1, Math.round(width * roi.w)),
+    h: Math.max(1, Math.round(height * roi.h)),
+  };
+}
+
+// Result points from either decoder as plain {x, y} in decoded-image coordinates.
+export function zxingPoints(result) {
+  try {
+    return (result?.getResultPoints?.() || [])
+      .filter(Boolean)
+      .map((p) => ({ x: p.getX ? p.getX() : p.x, y: p.getY ? p.getY() : p.y }));
+  } catch {
+    return [];
+  }
+}
+
+export function nativePoints(code) {
+  return (code?.cornerPoints || []).map((p) => ({ x: p.x, y: p.y }));
+}
+
+export const offsetPoints = (points, rect) => (points || []).map((p) => ({ x: p.x + rect.x, y: p.y + rect.y }));
+
+export function clearOverlay(canvas) {
+  const ctx = canvas?.getContext('2d');
+  if (ctx) ctx.clearRect(0, 0, canvas.width, canvas.height);
+}
+
+// Draws code outlines (one point list per code) in video-frame coordinates;
+// the canvas is CSS-stretched over the <video>.
+export function drawOutline(canvas, shapes, frameWidth, frameHeight) {
+  const list = (shapes || []).filter((pts) => pts?.length);
+  if (!canvas || !list.length) return;
+  if (canvas.width !== frameWidth) canvas.width = frameWidth;
+  if (canvas.height !== frameHeight) canvas.height = frameHeight;
+
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.lineWidth = Math.max(3, Math.round(frameWidth / 240));
+  ctx.strokeStyle = '#22c55e';
+  ctx.fillStyle = '#22c55e';
+  const r = ctx.lineWidth * 1.5;
+
+  for (const points of list) {
+    if (points.length >= 2) {
+      ctx.beginPath();
+      ctx.moveTo(points[0].x, points[0].y);
+      for (let i = 1; i < points.length; i++) ctx.lineTo(points[i].x, points[i].y);
+      if (points.length >= 3) ctx.closePath();
+      ctx.stroke();
+    }
+
+    for (const p of points) {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+}
+
+// Paints over a decoded code so the next ZXing pass finds a different one.
+// ZXing QR points are finder-pattern centres, so the box is padded past them.
+export function maskPoints(ctx, points) {
+  if (!ctx || !points?.length) return false;
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const size = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY, 1);
+  const pad = size * 0.35 + 8;
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(minX - pad, minY - pad, Math.max(...xs) - minX + pad * 2, Math.max(...ys) - minY + pad * 2);
+  return true;
+}
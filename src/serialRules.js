@@ -0,0 +1,173 @@
+// src/serialRules.js — per-mode serial validation (length, mill prefix, charset, check digit)
+//
+// The server copy (GET/PUT /serial-rules, { main, alt }) is the maintained set; localStorage
+// keeps the last copy we saw so checks still run offline.
+
+const RULES_KEY = (m) => `rail-serial-rules-${String(m || '').toLowerCase() === 'alt' ? 'alt' : 'main'}`;
+
+export const SERIAL_CHARSETS = {
+  alnum: { label: 'Letters and digits', re: /^[A-Z0-9]+$/ },
+  digits: { label: 'Digits only', re: /^[0-9]+$/ },
+  'alnum-dash': { label: 'Letters, digits and -', re: /^[A-Z0-9-]+$/ },
+};
+
+// Value of one character for the alphanumeric algorithms: 0-9, then A=10 ... Z=35.
+const charValue = (c) => (/[0-9]/.test(c) ? c.charCodeAt(0) - 48 : /[A-Z]/.test(c) ? c.charCodeAt(0) - 55 : -1);
+
+export const CHECK_DIGITS = {
+  none: { label: 'None', check: () => true },
+  luhn: {
+    label: 'Luhn (mod 10)',
+    check: (s) => {
+      if (!/^[0-9]{2,}$/.test(s)) return false;
+      let sum = 0;
+      for (let i = 0; i < s.length; i++) {
+        let d = s.charCodeAt(s.length - 1 - i) - 48;
+        if (i % 2 === 1) {
+          d *= 2;
+          if (d > 9) d -= 9;
+        }
+        sum += d;
+      }
+      return sum % 10 === 0;
+    },
+  },
+  mod11: {
+    label: 'Mod 11 (weights 2–7, X = 10)',
+    check: (s) => {
+      if (!/^[0-9]+[0-9X]$/.test(s)) return false;
+      let sum = 0;
+      const body = s.slice(0, -1);
+      for (let i = 0; i < body.length; i++) {
+        sum += (body.charCodeAt(body.length - 1 - i) - 48) * ((i % 6) + 2);
+      }
+      const expected = (11 - (sum % 11)) % 11;
+      const last = s[s.length - 1];
+      return expected === 10 ? last === 'X' : last === String(expected);
+    },
+  },
+  iso7064: {
+    label: 'ISO 7064 MOD 37,36 (alphanumeric)',
+    check: (s) => {
+      if (!/^[A-Z0-9]{2,}$/.test(s)) return false;
+      const M = 36;
+      let p = M;
+      for (const c of s.slice(0, -1)) {
+        let t = (p + charValue(c)) % M;
+        if (t === 0) t = M;
+        p = (t * 2) % (M + 1);
+      }
+      return charValue(s[s.length - 1]) === (M + 1 - p) % M;
+    },
+  },
+};
+
+export const DEFAULT_SERIAL_RULES = {
+  enabled: false,
+  minLength: 8,
+  maxLength: '',
+  millPrefixes: [], // [{ mill, prefixes }]; a blank mill applies to any mill
+  charset: 'alnum',
+  checkDigit: 'none',
+  action: 'flag', // 'flag' saves the record as suspect, 'block' refuses it
+};
+
+// Fills defaults and moves the old flat `prefixes` list onto a blank (any mill) entry.
+export function normalizeSerialRules(stored) {
+  const { prefixes, ...rest } = stored || {};
+  const rules = { ...DEFAULT_SERIAL_RULES, ...rest };
+  const list = Array.isArray(rules.millPrefixes) ? rules.millPrefixes : [];
+  rules.millPrefixes = list.map((e) => ({ mill: String(e?.mill || '').trim(), prefixes: String(e?.prefixes || '') }));
+  if (!list.length && String(prefixes || '').trim()) rules.millPrefixes = [{ mill: '', prefixes: String(prefixes) }];
+  return rules;
+}
+
+export function loadSerialRules(m) {
+  try {
+    return normalizeSerialRules(JSON.parse(localStorage.getItem(RULES_KEY(m)) || 'null'));
+  } catch {
+    return normalizeSerialRules(null);
+  }
+}
+
+export function saveSerialRules(m, rules) {
+  try {
+    localStorage.setItem(RULES_KEY(m), JSON.stringify(rules));
+  } catch {}
+}
+
+// Downloads the maintained rules ({ main, alt }) and caches them; null when offline or the server has none.
+export async function fetchSerialRules(url) {
+  try {
+    const resp = await fetch(url);
+    if (!resp.ok) return null;
+    const data = await resp.json();
+    if (!data?.main && !data?.alt) return null;
+    const next = { main: normalizeSerialRules(data.main), alt: normalizeSerialRules(data.alt) };
+    saveSerialRules('main', next.main);
+    saveSerialRules('alt', next.alt);
+    return next;
+  } catch {
+    return null;
+  }
+}
+
+// Saves edited rules locally and, when reachable, to the server. Resolves true if the server took them.
+export async function publishSerialRules(url, all) {
+  const next = { main: normalizeSerialRules(all?.main), alt: normalizeSerialRules(all?.alt) };
+  saveSerialRules('main', next.main);
+  saveSerialRules('alt', next.alt);
+  try {
+    const resp = await fetch(url, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(next),
+    });
+    return resp.ok;
+  } catch {
+    return false;
+  }
+}
+
+export const parsePrefixes = (text) =>
+  String(text || '')
+    .split(/[\s,;]+/)
+    .map((p) => p.trim().toUpperCase())
+    .filter(Boolean);
+
+const millKey = (v) => String(v || '').toUpperCase().replace(/\s+/g, '');
+
+/**
+ * Checks a normalized (trimmed, upper-case) serial against the rules. When the label names a
+ * `mill` that has prefixes configured, the serial must start with one of that mill's; otherwise
+ * any configured prefix will do.
+ * Returns a list of human-readable problems; empty when the serial passes or rules are off.
+ */
+export function validateSerial(serial, rules, { mill } = {}) {
+  if (!rules?.enabled) return [];
+  const s = String(serial || '').trim().toUpperCase();
+  const problems = [];
+  const min = parseInt(rules.minLength, 10);
+  const max = parseInt(rules.maxLength, 10);
+  if (min > 0 && s.length < min) problems.push(`shorter than ${min}`);
+  if (max > 0 && s.length > max) problems.push(`longer than ${max}`);
+
+  const charset = SERIAL_CHARSETS[rules.charset];
+  if (charset && !charset.re.test(s)) problems.push(`characters outside ${charset.label.toLowerCase()}`);
+
+  const mills = (rules.millPrefixes || [])
+    .map((e) => ({ mill: millKey(e.mill), prefixes: parsePrefixes(e.prefixes) }))
+    .filter((e) => e.prefixes.length);
+  const fits = (list) => list.some((e) => e.prefixes.some((p) => s.startsWith(p)));
+  const own = mills.filter((e) => e.mill && e.mill === millKey(mill));
+  if (own.length) {
+    if (!fits(own)) problems.push(`prefix not used by mill ${String(mill).trim()}`);
+  } else if (mills.length && !fits(mills)) {
+    problems.push('unknown mill prefix');
+  }
+
+  const algo = CHECK_DIGITS[rules.checkDigit];
+  if (algo && rules.checkDigit !== 'none' && !algo.check(s)) problems.push('check digit mismatch');
+
+  return problems;
+}
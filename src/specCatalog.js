@@ -0,0 +1,144 @@
+// src/specCatalog.js — catalog of valid grade / rail type / spec / length combinations
+//
+// The server copy (GET/PUT /rail-specs) is the maintained list; the last copy we saw is kept
+// in IndexedDB so the dropdowns and checks keep working offline.
+
+const DB_NAME = 'rail-spec-catalog';
+const DB_VERSION = 1;
+const STORE = 'catalog';
+const CURRENT = 'current';
+
+// Order of the dependent dropdowns; each level narrows the next.
+export const SPEC_FIELDS = [
+  { key: 'railType', label: 'Rail Type' },
+  { key: 'grade', label: 'Grade' },
+  { key: 'spec', label: 'Spec' },
+  { key: 'lengthM', label: 'Length' },
+];
+
+// Used until the first catalog download; this was the old fixed damaged-QR default.
+export const SEED_SPEC_CATALOG = [{ grade: 'SAR48', railType: 'R260', spec: 'ATA 2DX066-25', lengthM: '36 m' }];
+
+export const EMPTY_SPEC = { grade: '', railType: '', spec: '', lengthM: '' };
+
+// "36m" and "36 m", "ata 2dx066-25" and "ATA 2DX066-25" are the same value.
+export const specKey = (v) => String(v || '').toUpperCase().replace(/\s+/g, '');
+
+export function normalizeCatalog(list) {
+  const seen = new Set();
+  const out = [];
+  for (const e of Array.isArray(list) ? list : []) {
+    const entry = {};
+    for (const { key } of SPEC_FIELDS) entry[key] = String(e?.[key] || '').trim();
+    if (!entry.grade || !entry.railType) continue;
+    const id = SPEC_FIELDS.map(({ key }) => specKey(entry[key])).join('|');
+    if (seen.has(id)) continue;
+    seen.add(id);
+    out.push(entry);
+  }
+  return out;
+}
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) db.createObjectStore(STORE);
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function writeCached(entries) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.objectStore(STORE).put({ entries, updatedAt: new Date().toISOString() }, CURRENT);
+  });
+}
+
+export async function loadCachedCatalog() {
+  try {
+    const db = await openDb();
+    const stored = await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, 'readonly');
+      const req = tx.objectStore(STORE).get(CURRENT);
+      req.onsuccess = () => resolve(req.result || null);
+      req.onerror = () => reject(req.error);
+    });
+    const entries = normalizeCatalog(stored?.entries);
+    if (entries.length) return { entries, updatedAt: stored.updatedAt || null };
+  } catch (e) {
+    console.warn('Spec catalog cache unavailable:', e?.message);
+  }
+  return { entries: SEED_SPEC_CATALOG, updatedAt: null };
+}
+
+// Downloads the maintained catalog and caches it; null when offline or the server has none.
+export async function fetchCatalog(url) {
+  try {
+    const resp = await fetch(url);
+    if (!resp.ok) return null;
+    const data = await resp.json();
+    const entries = normalizeCatalog(Array.isArray(data) ? data : data?.entries);
+    if (!entries.length) return null;
+    await writeCached(entries).catch(() => {});
+    return { entries, updatedAt: new Date().toISOString() };
+  } catch {
+    return null;
+  }
+}
+
+// Saves an edited catalog locally and, when reachable, to the server. Resolves true if the server took it.
+export async function publishCatalog(url, list) {
+  const entries = normalizeCatalog(list);
+  await writeCached(entries);
+  try {
+    const resp = await fetch(url, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ entries }),
+    });
+    return resp.ok;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Narrows `value` against the catalog, level by level. Values are snapped to the catalog's
+ * spelling, cleared when they don't fit the levels above, and filled when only one option is left.
+ * Returns { value, options } where options[field] lists the choices for that dropdown.
+ */
+export function narrowSpec(entries, value) {
+  let rows = entries;
+  const next = { ...EMPTY_SPEC };
+  const options = {};
+  for (const { key } of SPEC_FIELDS) {
+    const opts = [...new Set(rows.map((r) => r[key]).filter(Boolean))];
+    options[key] = opts;
+    const want = specKey(value?.[key]);
+    const hit = opts.find((o) => specKey(o) === want) || (opts.length === 1 ? opts[0] : '');
+    next[key] = hit;
+    if (hit) rows = rows.filter((r) => r[key] === hit);
+  }
+  return { value: next, options };
+}
+
+// Fields of a parsed QR that don't fit any catalog entry (with the fields before them).
+export function catalogMismatches(entries, value) {
+  const filled = SPEC_FIELDS.filter(({ key }) => value?.[key]);
+  if (!filled.length || !entries.length) return [];
+  const bad = [];
+  let rows = entries;
+  for (const { key, label } of filled) {
+    const next = rows.filter((r) => specKey(r[key]) === specKey(value[key]));
+    if (next.length) rows = next;
+    else bad.push(label);
+  }
+  return bad;
+}
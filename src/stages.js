@@ -0,0 +1,46 @@
+// src/stages.js — rail lifecycle: received → loaded → dispatched → delivered
+
+export const STAGES = [
+  { id: 'received', label: 'Received', action: 'Receive' },
+  { id: 'loaded', label: 'Loaded', action: 'Load' },
+  { id: 'dispatched', label: 'Dispatched', action: 'Dispatch' },
+  { id: 'delivered', label: 'Delivered', action: 'Deliver' },
+];
+
+export const stageIndex = (id) => {
+  const i = STAGES.findIndex((s) => s.id === String(id || 'received').toLowerCase());
+  return i === -1 ? 0 : i;
+};
+
+export const stageLabel = (id) => STAGES[stageIndex(id)].label;
+
+export const wagonLabel = (ids) => (ids || []).filter(Boolean).join(' / ');
+
+// Records saved before stages were tracked only have their creation time.
+export function stageHistory(record) {
+  if (Array.isArray(record?.stageHistory) && record.stageHistory.length) return record.stageHistory;
+  const wagon = wagonLabel([record?.wagon1Id ?? record?.wagonId1, record?.wagon2Id ?? record?.wagonId2, record?.wagon3Id ?? record?.wagonId3]);
+  return [{ stage: 'received', at: record?.timestamp || '', operator: record?.operator || '', wagon }];
+}
+
+// Latest time the record entered each stage: { received: iso, loaded: iso, ... }.
+export function stageTimes(record) {
+  const out = {};
+  for (const h of stageHistory(record)) if (h?.stage && h.at) out[h.stage] = h.at;
+  return out;
+}
+
+/**
+ * Works out the move of `record` to `target`. Only the next stage is allowed, so a rail
+ * can't be dispatched before it was loaded. Returns { patch } or { error }.
+ */
+export function stageTransition(record, target, { operator, wagon, at = new Date().toISOString() }) {
+  const from = stageIndex(record?.stage);
+  const to = stageIndex(target);
+  if (from >= to) return { error: `already ${stageLabel(record?.stage).toLowerCase()}` };
+  if (to - from > 1) {
+    return { error: `still ${stageLabel(record?.stage).toLowerCase()} — ${STAGES[to - 1].action.toLowerCase()} it first` };
+  }
+  const entry = { stage: STAGES[to].id, at, operator: operator || '', wagon: wagon || '' };
+  return { patch: { stage: STAGES[to].id, stageHistory: [...stageHistory(record), entry] } };
+}
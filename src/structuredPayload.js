@@ -0,0 +1,174 @@
+// src/structuredPayload.js — JSON, URL query, KEY=VALUE and GS1 label payloads
+//
+// Each reader turns the payload into plain key/value pairs; mapFields then sorts those into the
+// record fields (serial, grade, railType, spec, lengthM, heatNumber, mill, rollDate) and keeps
+// everything else as attributes.
+
+// Key aliases, compared lower-case with spaces, dashes, dots and underscores removed.
+const FIELD_ALIASES = {
+  serial: ['serial', 'serialno', 'serialnumber', 'sn', 'sno', 'railserial', 'railid'],
+  grade: ['grade', 'steelgrade', 'railgrade'],
+  railType: ['railtype', 'type', 'profile', 'railprofile', 'section'],
+  spec: ['spec', 'specification', 'standard', 'std'],
+  lengthM: ['length', 'lengthm', 'len', 'lenm', 'railength', 'raillength'],
+  heatNumber: ['heat', 'heatno', 'heatnumber', 'heatnr', 'cast', 'castno', 'castnumber'],
+  mill: ['mill', 'millname', 'manufacturer', 'producer', 'works'],
+  rollDate: ['rolldate', 'rolled', 'rollingdate', 'dateofrolling', 'rolledon', 'proddate', 'productiondate'],
+};
+
+const aliasKey = (k) => String(k || '').toLowerCase().replace(/[\s_.-]+/g, '');
+
+const findField = (key) => {
+  const k = aliasKey(key);
+  return Object.keys(FIELD_ALIASES).find((name) => FIELD_ALIASES[name].includes(k)) || null;
+};
+
+function mapFields(pairs) {
+  const fields = {};
+  for (const name of Object.keys(FIELD_ALIASES)) fields[name] = '';
+  const attributes = {};
+  for (const [key, rawValue] of pairs) {
+    const value = String(rawValue ?? '').trim();
+    if (!key || !value) continue;
+    const field = findField(key);
+    if (field && !fields[field]) {
+      fields[field] = value;
+      continue;
+    }
+    const attr = String(key).trim();
+    if (!(attr in attributes)) attributes[attr] = value;
+  }
+  if (fields.serial) fields.serial = fields.serial.toUpperCase();
+  // A bare number is metres, same as the generic parser's "36m".
+  if (/^\d+(\.\d+)?$/.test(fields.lengthM)) fields.lengthM = `${fields.lengthM} m`;
+  return { fields, attributes };
+}
+
+// Nested objects are flattened one level deep: { rail: { serial } } still finds the serial.
+function readJson(text) {
+  if (!/^\{[\s\S]*\}$/.test(text)) return null;
+  let obj;
+  try {
+    obj = JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return null;
+  const pairs = [];
+  for (const [k, v] of Object.entries(obj)) {
+    if (v && typeof v === 'object' && !Array.isArray(v)) {
+      for (const [k2, v2] of Object.entries(v)) if (typeof v2 !== 'object') pairs.push([k2, v2]);
+    } else if (typeof v !== 'object') {
+      pairs.push([k, v]);
+    }
+  }
+  return pairs;
+}
+
+function readUrl(text) {
+  if (!/^https?:\/\/\S+$/i.test(text)) return null;
+  let url;
+  try {
+    url = new URL(text);
+  } catch {
+    return null;
+  }
+  const pairs = [...url.searchParams.entries()];
+  // Some labels put the parameters after '#' so they never reach the server.
+  if (url.hash.includes('=')) pairs.push(...new URLSearchParams(url.hash.slice(1)).entries());
+  return pairs.length ? pairs : null;
+}
+
+function readKeyValue(text) {
+  const parts = text.split(/[;&|\r\n]+/).map((p) => p.trim()).filter(Boolean);
+  const pairs = [];
+  for (const part of parts) {
+    const m = part.match(/^([A-Za-z][\w .-]{0,40}?)\s*=\s*(.*)$/);
+    if (!m) return null;
+    pairs.push([m[1], m[2]]);
+  }
+  // A single "X=Y" is too weak a signal unless it names the serial.
+  if (pairs.length < 2 && !(pairs.length === 1 && findField(pairs[0][0]) === 'serial')) return null;
+  return pairs;
+}
+
+// GS1 Application Identifiers we understand: fixed length, or variable up to `max` ending at FNC1.
+const GS1_AIS = {
+  '01': { key: 'gtin', fixed: 14 },
+  '10': { key: 'heatNumber', max: 20 }, // batch/lot: mills put the heat number here
+  '11': { key: 'rollDate', fixed: 6, date: true }, // production date
+  '21': { key: 'serial', max: 20 },
+  '240': { key: 'productId', max: 30 },
+  '241': { key: 'customerPartNo', max: 30 },
+  '400': { key: 'orderNumber', max: 30 },
+  '3110': { key: 'length', fixed: 6, decimals: 0 },
+  '3111': { key: 'length', fixed: 6, decimals: 1 },
+  '3112': { key: 'length', fixed: 6, decimals: 2 },
+  '3113': { key: 'length', fixed: 6, decimals: 3 },
+};
+const GS = '\x1d';
+
+function gs1Value(def, value) {
+  if (def.date && /^\d{6}$/.test(value)) {
+    const dd = value.slice(4, 6) === '00' ? '01' : value.slice(4, 6);
+    return `20${value.slice(0, 2)}-${value.slice(2, 4)}-${dd}`;
+  }
+  if (def.decimals !== undefined && /^\d+$/.test(value)) return String(Number(value) / 10 ** def.decimals);
+  return value;
+}
+
+function readGs1(text) {
+  const pairs = [];
+  // Human-readable form: (01)09501101020917(21)AB1234
+  if (/^\(\d{2,4}\)/.test(text)) {
+    for (const m of text.matchAll(/\((\d{2,4})\)([^(]*)/g)) {
+      const def = GS1_AIS[m[1]];
+      pairs.push([def ? def.key : `AI ${m[1]}`, def ? gs1Value(def, m[2].trim()) : m[2].trim()]);
+    }
+    return pairs.length ? pairs : null;
+  }
+
+  // Raw element string: needs a GS1 symbology identifier or FNC1 separators to be trusted.
+  const sym = text.match(/^\](C1|e0|d2|Q3)/);
+  if (!sym && !text.includes(GS)) return null;
+  let s = sym ? text.slice(3) : text.replace(/^\x1d/, '');
+  while (s.length) {
+    const ai = ['4', '3', '2'].map((n) => s.slice(0, +n)).find((p) => GS1_AIS[p]);
+    if (!ai) return pairs.length ? pairs : null;
+    const def = GS1_AIS[ai];
+    s = s.slice(ai.length);
+    let value;
+    if (def.fixed) {
+      value = s.slice(0, def.fixed);
+      s = s.slice(def.fixed);
+    } else {
+      const end = s.indexOf(GS);
+      value = (end === -1 ? s : s.slice(0, end)).slice(0, def.max);
+      s = end === -1 ? '' : s.slice(end);
+    }
+    if (s.startsWith(GS)) s = s.slice(1);
+    pairs.push([def.key, gs1Value(def, value)]);
+  }
+  return pairs.length ? pairs : null;
+}
+
+const READERS = [
+  ['JSON', readJson],
+  ['URL', readUrl],
+  ['GS1', readGs1],
+  ['Key=Value', readKeyValue],
+];
+
+/**
+ * Detects a structured payload and maps it. Returns
+ * { kind, fields: { serial, grade, ..., heatNumber, mill, rollDate }, attributes } or null.
+ */
+export function parseStructuredPayload(raw) {
+  const text = String(raw || '').trim();
+  if (!text) return null;
+  for (const [kind, read] of READERS) {
+    const pairs = read(text);
+    if (pairs) return { kind, ...mapFields(pairs) };
+  }
+  return null;
+}
@@ -0,0 +1,51 @@
+// src/useAllStaged.js
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+
+const serialKey = (r) => String(r?.serial || '').trim().toUpperCase();
+
+/**
+ * Every staged row for a mode, for views that need totals over the whole inventory rather
+ * than the loaded page. `loadAll(mode)` fetches the full server listing; the live `scans`
+ * list is merged on top so new-scan events and offline saves show up without a refetch.
+ * While `enabled`, it refetches on mode change, when `totalCount` drops (a delete elsewhere)
+ * and on `refresh()`. Falls back to `scans` alone (complete: false) when the server can't be reached.
+ */
+export default function useAllStaged({ mode, scans, totalCount, loadAll, enabled = true }) {
+  const [serverRows, setServerRows] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const lastTotalRef = useRef(totalCount);
+  const requestRef = useRef(0);
+
+  const refresh = useCallback(async () => {
+    const request = ++requestRef.current;
+    setLoading(true);
+    try {
+      const rows = await loadAll(mode);
+      if (request === requestRef.current) setServerRows(rows);
+    } catch (e) {
+      console.warn('Full staged listing failed:', e.message);
+      if (request === requestRef.current) setServerRows(null);
+    } finally {
+      if (request === requestRef.current) setLoading(false);
+    }
+  }, [mode, loadAll]);
+
+  useEffect(() => {
+    setServerRows(null);
+    if (enabled) refresh();
+  }, [enabled, refresh]);
+
+  useEffect(() => {
+    if (enabled && totalCount < lastTotalRef.current) refresh();
+    lastTotalRef.current = totalCount;
+  }, [enabled, totalCount, refresh]);
+
+  const rows = useMemo(() => {
+    if (!serverRows) return scans;
+    const bySerial = new Map(serverRows.map((r) => [serialKey(r), r]));
+    for (const r of scans) bySerial.set(serialKey(r), r);
+    return [...bySerial.values()];
+  }, [serverRows, scans]);
+
+  return { rows, complete: !!serverRows, loading, refresh };
+}
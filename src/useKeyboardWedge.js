@@ -0,0 +1,87 @@
+// src/useKeyboardWedge.js
+import { useEffect, useRef } from 'react';
+
+// Bluetooth / USB HID scanners "type" a whole code in a few milliseconds per key;
+// people rarely manage under ~60 ms. These thresholds separate the two.
+const MAX_KEY_GAP_MS = 40;
+const MAX_AVG_GAP_MS = 25;
+const MIN_LENGTH = 4;
+// Some scanners are configured without an Enter suffix; flush a fast burst after this idle time.
+const IDLE_FLUSH_MS = 120;
+const IDLE_FLUSH_MIN_LENGTH = 8;
+
+const isTerminator = (key) => key === 'Enter' || key === 'Tab';
+
+/**
+ * Listens for keyboard-wedge scanner bursts on the whole window and calls
+ * `onScan(text)` for each one. Keys that are part of a recognised burst are
+ * swallowed so they don't end up in whatever input has focus (the first key
+ * of a burst can't be told apart yet and may still land there).
+ */
+export default function useKeyboardWedge({ enabled, onScan }) {
+  const onScanRef = useRef(onScan);
+  onScanRef.current = onScan;
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    let buffer = '';
+    let times = [];
+    let idleTimer = null;
+
+    const reset = () => {
+      buffer = '';
+      times = [];
+      clearTimeout(idleTimer);
+      idleTimer = null;
+    };
+
+    const isFastBurst = () => {
+      if (times.length < 2) return false;
+      const span = times[times.length - 1] - times[0];
+      return span / (times.length - 1) <= MAX_AVG_GAP_MS;
+    };
+
+    const flush = () => {
+      const text = buffer.trim();
+      const ok = text.length >= MIN_LENGTH && isFastBurst();
+      reset();
+      if (ok && onScanRef.current) onScanRef.current(text);
+      return ok;
+    };
+
+    const onKeyDown = (e) => {
+      if (e.ctrlKey || e.altKey || e.metaKey) return;
+      const now = performance.now();
+
+      if (isTerminator(e.key)) {
+        if (buffer && isFastBurst() && flush()) e.preventDefault();
+        else reset();
+        return;
+      }
+
+      if (e.key.length !== 1) return; // Shift, arrows, etc. don't break a burst
+
+      const last = times[times.length - 1];
+      if (last !== undefined && now - last > MAX_KEY_GAP_MS) reset();
+
+      buffer += e.key;
+      times.push(now);
+
+      // From the second fast key on, this is a scanner: keep it out of focused inputs.
+      if (times.length >= 2 && isFastBurst()) e.preventDefault();
+
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        if (buffer.length >= IDLE_FLUSH_MIN_LENGTH) flush();
+        else reset();
+      }, IDLE_FLUSH_MS);
+    };
+
+    window.addEventListener('keydown', onKeyDown, true);
+    return () => {
+      window.removeEventListener('keydown', onKeyDown, true);
+      reset();
+    };
+  }, [enabled]);
+}
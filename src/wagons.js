@@ -0,0 +1,76 @@
+// src/wagons.js — group staged scans by wagon and check them against load limits
+
+const LIMITS_KEY = 'rail-wagon-limits';
+
+export const DEFAULT_WAGON_LIMITS = { maxRails: '', maxLengthM: '' };
+
+export function loadWagonLimits() {
+  try {
+    return { ...DEFAULT_WAGON_LIMITS, ...JSON.parse(localStorage.getItem(LIMITS_KEY) || '{}') };
+  } catch {
+    return { ...DEFAULT_WAGON_LIMITS };
+  }
+}
+
+export function saveWagonLimits(limits) {
+  const next = { ...DEFAULT_WAGON_LIMITS, ...limits };
+  try {
+    localStorage.setItem(LIMITS_KEY, JSON.stringify(next));
+  } catch {}
+  return next;
+}
+
+// "36 m", "36m", "36.5" → metres; 0 when the length is missing or unreadable.
+export function parseLengthM(value) {
+  const m = String(value || '').replace(',', '.').match(/(\d+(?:\.\d+)?)/);
+  return m ? Number(m[1]) : 0;
+}
+
+export const scanWagons = (scan) =>
+  [
+    scan?.wagon1Id ?? scan?.wagonId1,
+    scan?.wagon2Id ?? scan?.wagonId2,
+    scan?.wagon3Id ?? scan?.wagonId3,
+  ]
+    .map((w) => String(w || '').trim().toUpperCase())
+    .filter((w, i, all) => w && all.indexOf(w) === i);
+
+/**
+ * Groups scans by wagon ID. A rail listed on several wagons (long rails ride across a set) is
+ * counted once, on its first wagon; the other wagons list it under `shared` without counting it.
+ * Returns { wagons: [{ id, scans, shared, count, lengthM }], unassigned }.
+ */
+export function groupByWagon(scans) {
+  const byId = new Map();
+  const wagon = (id) => {
+    if (!byId.has(id)) byId.set(id, { id, scans: [], shared: [], count: 0, lengthM: 0 });
+    return byId.get(id);
+  };
+  let unassigned = 0;
+  for (const scan of scans || []) {
+    const [first, ...others] = scanWagons(scan);
+    if (!first) {
+      unassigned += 1;
+      continue;
+    }
+    const w = wagon(first);
+    w.scans.push(scan);
+    w.count += 1;
+    w.lengthM += parseLengthM(scan.lengthM);
+    for (const id of others) wagon(id).shared.push(scan);
+  }
+  const wagons = [...byId.values()].sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+  return { wagons, unassigned };
+}
+
+// Human-readable limit breaches for one wagon; empty when within limits (or none are set).
+export function wagonWarnings(wagon, limits) {
+  const out = [];
+  const maxRails = parseInt(limits?.maxRails, 10);
+  const maxLength = Number(limits?.maxLengthM);
+  if (maxRails > 0 && wagon.count > maxRails) out.push(`${wagon.count} rails (limit ${maxRails})`);
+  if (maxLength > 0 && wagon.lengthM > maxLength) {
+    out.push(`${wagon.lengthM.toFixed(1)} m (limit ${maxLength} m)`);
+  }
+  return out;
+}
@@ -18,6 +18,13 @@ export default defineConfig({
     rollupOptions: {
       // Ensure socket.io-client is bundled correctly
       external: [],
+      output: {
+        // Tesseract looks up `<langPath>/eng.traineddata.gz`, so the OCR model keeps its name
+        assetFileNames: (info) =>
+          /\.traineddata\.gz$/.test(info.name || '')
+            ? 'assets/tessdata/[name][extname]'
+            : 'assets/[name]-[hash][extname]',
+      },
     },
   },
 });